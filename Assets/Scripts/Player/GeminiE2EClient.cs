@@ -16,18 +16,42 @@ public class GeminiE2EClient : MonoBehaviour
 
     [Header("Scenario")]
     public string testName = "find_one_chest";
+    [Tooltip("Optional suite under qa-bot/tests/suites; overrides testName when set.")]
+    public string suiteName = "";
+    [Tooltip("Optional recorded run ID to replay deterministically; overrides testName and suiteName.")]
+    public string replayRunId = "";
 
     [Header("Loop Settings")]
     public float stepInterval = 0.5f;
     public int maxSteps = 200;
+    [Tooltip("Seconds before a server request is abandoned; the server retries Gemini within its own timeout.")]
+    public int requestTimeoutSec = 120;
+
+    [Header("Vision")]
+    [Tooltip("Send a downscaled screenshot with each step when the spec enables vision.")]
+    public bool sendScreenshots = true;
 
     private bool _running;
     private Coroutine _loop;
+    private string _sessionId = "";
+    private VisionConfig _vision = new VisionConfig();
+    private string _frameBase64 = "";
+
+    [System.Serializable]
+    private class VisionConfig
+    {
+        public bool enabled;
+        public int maxWidth = 512;
+        public int maxHeight = 512;
+        public int jpegQuality = 70;
+    }
 
     [System.Serializable]
     private class StepRequest
     {
+        public string sessionId;
         public string observationJson;
+        public string image;
     }
 
     [System.Serializable]
@@ -35,18 +59,31 @@ public class GeminiE2EClient : MonoBehaviour
     {
         public string command;
         public string note;
+        public string sessionId;
+        public VisionConfig vision;
     }
 
     [System.Serializable]
     private class ReportRequest
     {
-        public string dummy = "ok";
+        public string sessionId;
     }
 
     [System.Serializable]
     private class StartRequest
     {
         public string testName;
+        public string suiteName;
+        public string replayRunId;
+    }
+
+    [System.Serializable]
+    private class StartResponse
+    {
+        public bool ok;
+        public string activeTest;
+        public string sessionId;
+        public VisionConfig vision;
     }
 
     [System.Serializable]
@@ -115,8 +152,8 @@ public class GeminiE2EClient : MonoBehaviour
     {
         int steps = 0;
 
-        Debug.Log($"[GeminiE2E] START request, testName={testName}");
-        var startBody = new StartRequest { testName = testName };
+        Debug.Log($"[GeminiE2E] START request, testName={testName}, suiteName={suiteName}");
+        var startBody = new StartRequest { testName = testName, suiteName = suiteName, replayRunId = replayRunId };
         string startJson = JsonUtility.ToJson(startBody);
 
         using (UnityWebRequest req = BuildJsonPost(startUrl, startJson))
@@ -133,6 +170,23 @@ public class GeminiE2EClient : MonoBehaviour
             {
                 Debug.LogError("[GeminiE2E] START error: " + req.error);
             }
+            else
+            {
+                StartResponse resp = null;
+                try
+                {
+                    resp = JsonUtility.FromJson<StartResponse>(req.downloadHandler.text);
+                }
+                catch
+                {
+                    Debug.LogError("[GeminiE2E] START response JSON parse error: " + req.downloadHandler.text);
+                }
+
+                // Older servers return no sessionId; requests then fall back to the server's default session.
+                _sessionId = resp != null && !string.IsNullOrEmpty(resp.sessionId) ? resp.sessionId : "";
+                _vision = resp != null && resp.vision != null ? resp.vision : new VisionConfig();
+                Debug.Log($"[GeminiE2E] START ok, sessionId={_sessionId}, vision={_vision.enabled}");
+            }
         }
 
         while (driver != null && driver.botEnabled && steps < maxSteps)
@@ -143,7 +197,13 @@ public class GeminiE2EClient : MonoBehaviour
             {
                 Debug.Log($"[GeminiE2E] STEP request, obs length={obs.Length}");
 
-                StepRequest reqBody = new StepRequest { observationJson = obs };
+                _frameBase64 = "";
+                if (sendScreenshots && _vision.enabled)
+                {
+                    yield return CaptureFrame();
+                }
+
+                StepRequest reqBody = new StepRequest { sessionId = _sessionId, observationJson = obs, image = _frameBase64 };
                 string json = JsonUtility.ToJson(reqBody);
 
                 using (UnityWebRequest req = BuildJsonPost(stepUrl, json))
@@ -177,6 +237,14 @@ public class GeminiE2EClient : MonoBehaviour
                         {
                             Debug.Log($"[GeminiE2E] STEP response command={resp.command}, note={resp.note}");
 
+                            // Suites hand over to a new session when the current spec finishes.
+                            if (!string.IsNullOrEmpty(resp.sessionId) && resp.sessionId != _sessionId)
+                            {
+                                Debug.Log($"[GeminiE2E] session switched {_sessionId} -> {resp.sessionId}");
+                                _sessionId = resp.sessionId;
+                                _vision = resp.vision != null ? resp.vision : new VisionConfig();
+                            }
+
                             if (!string.IsNullOrEmpty(resp.command))
                             {
                                 driver.pendingCommand = resp.command;
@@ -201,7 +269,7 @@ public class GeminiE2EClient : MonoBehaviour
 
         Debug.Log("[GeminiE2E] REPORT request");
 
-        ReportRequest reportReq = new ReportRequest();
+        ReportRequest reportReq = new ReportRequest { sessionId = _sessionId };
         string reportJson = JsonUtility.ToJson(reportReq);
 
         using (UnityWebRequest req = BuildJsonPost(reportUrl, reportJson))
@@ -253,13 +321,40 @@ public class GeminiE2EClient : MonoBehaviour
         Debug.Log("[GeminiE2E] Loop finished");
     }
 
-    private static UnityWebRequest BuildJsonPost(string url, string json)
+    // Captures the screen at the end of the frame, downscaled to the server's
+    // limits, as base64 JPEG in _frameBase64.
+    private IEnumerator CaptureFrame()
+    {
+        yield return new WaitForEndOfFrame();
+
+        Texture2D shot = ScreenCapture.CaptureScreenshotAsTexture();
+        float scale = Mathf.Min(1f, Mathf.Min((float)_vision.maxWidth / shot.width, (float)_vision.maxHeight / shot.height));
+        int width = Mathf.Max(1, Mathf.RoundToInt(shot.width * scale));
+        int height = Mathf.Max(1, Mathf.RoundToInt(shot.height * scale));
+
+        RenderTexture rt = RenderTexture.GetTemporary(width, height);
+        Graphics.Blit(shot, rt);
+        RenderTexture previous = RenderTexture.active;
+        RenderTexture.active = rt;
+        Texture2D small = new Texture2D(width, height, TextureFormat.RGB24, false);
+        small.ReadPixels(new Rect(0, 0, width, height), 0, 0);
+        small.Apply();
+        RenderTexture.active = previous;
+        RenderTexture.ReleaseTemporary(rt);
+
+        _frameBase64 = System.Convert.ToBase64String(small.EncodeToJPG(_vision.jpegQuality));
+        Destroy(shot);
+        Destroy(small);
+    }
+
+    private UnityWebRequest BuildJsonPost(string url, string json)
     {
         var bytes = Encoding.UTF8.GetBytes(json);
         var req = new UnityWebRequest(url, UnityWebRequest.kHttpVerbPOST);
         req.uploadHandler = new UploadHandlerRaw(bytes);
         req.downloadHandler = new DownloadHandlerBuffer();
         req.SetRequestHeader("Content-Type", "application/json");
+        req.timeout = requestTimeoutSec;
         return req;
     }
 }
@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 using UnityEngine;
 
 /// <summary>
@@ -39,6 +40,7 @@ public class PlayerE2EDriver : MonoBehaviour
     private string _currentCommand = "";
     private float _commandParam = 0f;   // 秒 or 角度
     private float _commandTimer = 0f;
+    private readonly List<string> _foundChestIds = new List<string>();
 
     [Serializable]
     private class Observation
@@ -53,6 +55,7 @@ public class PlayerE2EDriver : MonoBehaviour
         public int totalChests;
         public int chestsFound;
         public float nearestChestDistance;
+        public string[] foundChestIds;
     }
 
     private void Awake()
@@ -253,6 +256,7 @@ public class PlayerE2EDriver : MonoBehaviour
         obs.rightHit   = CastRay(transform.right);
 
         UpdateChestCounts(out obs.totalChests, out obs.chestsFound, out obs.nearestChestDistance);
+        obs.foundChestIds = _foundChestIds.ToArray();
 
         lastObservationJson = JsonUtility.ToJson(obs);
 
@@ -267,6 +271,7 @@ public class PlayerE2EDriver : MonoBehaviour
         total = 0;
         found = 0;
         nearestDistance = -1f;
+        _foundChestIds.Clear();
 
         var chests = GameObject.FindGameObjectsWithTag(ChestTag);
         if (chests == null || chests.Length == 0)
@@ -290,6 +295,7 @@ public class PlayerE2EDriver : MonoBehaviour
             if (isFound)
             {
                 found++;
+                _foundChestIds.Add(chestComp.chestId);
                 continue;
             }
 
@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { clearBaseline, readBaseline, setBaseline, testTrend } from "../lib/baselines.mjs";
+import { createGridWorld, loadMap } from "../lib/gridworld.mjs";
+import { createRecordedClient, runScenario } from "../lib/harness.mjs";
+import { listRuns, readRun, readRunReport } from "../lib/runs.mjs";
+import { parseTestSpec, TEMPLATE_VARIABLES, validateSpec } from "../lib/spec.mjs";
+import { buildJUnitXml } from "../lib/suites.mjs";
+
+const USAGE = `usage: qa-bot <command> [options]
+
+  serve                      start the server
+      --port <n>             default: PORT or 3000
+      --model <name>         default: GEMINI_MODEL or gemini-2.5-flash
+  validate <spec>...         lint specs (a name under the tests directory or a .yaml path)
+  report <runId>             print a stored run's report
+      --format <f>           md (default), json, junit or html
+      --out <file>           write to a file instead of stdout
+  runs list                  list stored runs, newest first
+      --test <name> --status <s> --since <date> --until <date> --limit <n> --json
+  runs stats <test>          pass rate, flakiness and mean metrics of recent runs
+      --last <n>             finished runs to include (default 10); --json
+  baseline set <test> <runId>...   mark runs as the test's baseline (or --last <n>)
+  baseline show <test>
+  baseline clear <test>
+  run <spec|suite>           run a spec or suite against a game client in-process
+      --client <c>           sim (default) or replay
+      --map <file>           map for the sim client (default: the bundled
+                             maps/small_maze.txt)
+      --from <runId>         recorded run for the replay client; without <spec>
+                             the run's own spec and commands are replayed
+      --suite                treat the target as a suite name
+      --interval <sec>       game seconds per step (default 0.5)
+      --max-steps <n>        stop driving after this many steps (default 1000)
+      --junit <file>         also write a JUnit XML report
+      -v, --verbose          print every step
+
+  common: --tests-dir <dir> (default: TESTS_DIR or ./tests)
+          --runs-dir <dir>  (default: RUNS_DIR or ./runs)
+
+Exit status: 0 on success, 1 when a run failed or a spec is invalid, 2 on usage errors.`;
+
+const COMMON_OPTIONS = {
+  "tests-dir": { type: "string" },
+  "runs-dir": { type: "string" },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+class UsageError extends Error {}
+
+function parse(args, options) {
+  try {
+    return parseArgs({ args, options: { ...COMMON_OPTIONS, ...options }, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+}
+
+function testsDir(values) {
+  return path.resolve(values["tests-dir"] || process.env.TESTS_DIR || "tests");
+}
+
+function runsDir(values) {
+  return path.resolve(values["runs-dir"] || process.env.RUNS_DIR || "runs");
+}
+
+// The server reads its settings from the environment when it is imported,
+// so options are copied there first.
+async function loadServer(values, env = {}) {
+  process.env.TESTS_DIR = testsDir(values);
+  process.env.RUNS_DIR = runsDir(values);
+  for (const [name, value] of Object.entries(env)) {
+    if (value !== undefined) process.env[name] = String(value);
+  }
+  return import("../server.mjs");
+}
+
+// Runs `fn(baseUrl)` against an in-process server on a free local port.
+async function withServer(values, fn) {
+  const { listen } = await loadServer(values);
+  const server = await listen(0, "127.0.0.1");
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+    server.closeAllConnections();
+  }
+}
+
+function positiveNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) throw new UsageError(`--${name} must be a positive number`);
+  return number;
+}
+
+async function serve(args) {
+  const { values } = parse(args, { port: { type: "string" }, model: { type: "string" } });
+  const port = values.port !== undefined ? positiveNumber(values.port, "port") : undefined;
+  const { listen } = await loadServer(values, { PORT: port, GEMINI_MODEL: values.model });
+  const server = await listen();
+  console.log(`[qa-bot] listening on http://localhost:${server.address().port} (tests: ${process.env.TESTS_DIR})`);
+  return null;
+}
+
+// A spec argument is either a path to a file or a name under the tests directory.
+function resolveSpecFile(arg, dir) {
+  if (fs.existsSync(arg) && fs.statSync(arg).isFile()) return path.resolve(arg);
+  return path.join(dir, `${arg}.yaml`);
+}
+
+function validate(args) {
+  const { values, positionals } = parse(args, {});
+  if (positionals.length === 0) throw new UsageError("validate needs at least one spec");
+
+  let failed = 0;
+  for (const arg of positionals) {
+    const filePath = resolveSpecFile(arg, testsDir(values));
+    const name = path.basename(filePath, path.extname(filePath));
+    if (!fs.existsSync(filePath)) {
+      console.log(`✗ ${arg}: Test spec not found: ${filePath}`);
+      failed += 1;
+      continue;
+    }
+    let errors;
+    try {
+      const data = parseTestSpec(fs.readFileSync(filePath, "utf8"), name);
+      errors = validateSpec(data, { templateVariables: TEMPLATE_VARIABLES });
+    } catch (err) {
+      errors = err?.errors || [String(err?.message || err)];
+    }
+    if (errors.length === 0) {
+      console.log(`✓ ${name}`);
+    } else {
+      failed += 1;
+      console.log(`✗ ${name}`);
+      for (const error of errors) console.log(`    ${error}`);
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+// Run metadata as a suite result row, for the JUnit builder.
+function runResultRow(meta) {
+  const duration = (Date.parse(meta.finishedAt) - Date.parse(meta.startedAt)) / 1000;
+  return {
+    test: meta.test,
+    iteration: 1,
+    sessionId: meta.id,
+    status: meta.status,
+    doneReason: meta.doneReason || meta.status,
+    stepsTaken: meta.stepsTaken || 0,
+    durationSec: Number.isFinite(duration) ? duration : 0
+  };
+}
+
+const REPORT_FORMATS = ["md", "json", "junit", "html"];
+
+async function report(args) {
+  const { values, positionals } = parse(args, { format: { type: "string", default: "md" }, out: { type: "string" } });
+  const [runId] = positionals;
+  if (!runId) throw new UsageError("report needs a run id");
+  if (!REPORT_FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${REPORT_FORMATS.join(", ")}`);
+  }
+
+  const run = readRun(runsDir(values), runId, { includeSteps: false });
+  if (!run) {
+    console.error(`Run not found: ${runId} (in ${runsDir(values)})`);
+    return 1;
+  }
+  let content;
+  if (values.format === "junit") {
+    content = buildJUnitXml(run.meta.test, [runResultRow(run.meta)]);
+  } else {
+    content = readRunReport(runsDir(values), runId, values.format);
+  }
+  if (!content) {
+    console.error(`Run ${runId} has no report yet (status: ${run.meta.status})`);
+    return 1;
+  }
+  if (values.out) {
+    fs.writeFileSync(values.out, content);
+  } else {
+    process.stdout.write(content);
+  }
+  return 0;
+}
+
+function printTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => String(row[i]).length)));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd();
+  console.log(line(header));
+  for (const row of rows) console.log(line(row));
+}
+
+function formatRate(rate) {
+  return rate === null ? "n/a" : `${(rate * 100).toFixed(1)}%`;
+}
+
+function printRunList(values) {
+  const list = listRuns(runsDir(values), values);
+  if (values.json) {
+    console.log(JSON.stringify(list, null, 2));
+    return 0;
+  }
+  if (list.length === 0) {
+    console.log(`No runs in ${runsDir(values)}`);
+    return 0;
+  }
+  printTable(
+    ["RUN", "TEST", "STATUS", "REASON", "STEPS", "CHESTS", "STARTED"],
+    list.map((meta) => [
+      meta.id,
+      meta.test,
+      meta.status,
+      meta.doneReason || "-",
+      meta.stepsTaken ?? "-",
+      meta.totalChests ? `${meta.chestsFound}/${meta.totalChests}` : "-",
+      meta.startedAt
+    ])
+  );
+  return 0;
+}
+
+function printRunStats(test, values) {
+  const last = values.last !== undefined ? positiveNumber(values.last, "last") : 10;
+  const trend = testTrend(listRuns(runsDir(values), { test }), last);
+  const baseline = readBaseline(runsDir(values), test);
+  if (values.json) {
+    console.log(JSON.stringify({ test, baseline, ...trend }, null, 2));
+    return 0;
+  }
+  console.log(`${test}: last ${trend.runs} finished runs`);
+  console.log(`  pass rate   ${formatRate(trend.passRate)} (${trend.passed}/${trend.runs})`);
+  console.log(`  flakiness   ${trend.flakiness ?? "n/a"}`);
+  console.log(`  results     ${trend.statuses.map((s) => (s.status === "PASS" ? "P" : "F")).join("") || "-"} (oldest first)`);
+  if (trend.metrics) {
+    const m = trend.metrics;
+    console.log(`  mean        ${m.stepsPerChest ?? "n/a"} steps/chest, ${m.durationSec ?? "n/a"}s, ` +
+      `${m.coveragePercent ?? "n/a"}% coverage, fallback rate ${m.fallbackRate ?? "n/a"}`);
+  }
+  console.log(`  baseline    ${baseline ? `${baseline.runIds.length} run(s), marked ${baseline.markedAt}` : "none"}`);
+  return 0;
+}
+
+async function runs(args) {
+  const { values, positionals } = parse(args, {
+    test: { type: "string" },
+    status: { type: "string" },
+    since: { type: "string" },
+    until: { type: "string" },
+    limit: { type: "string" },
+    last: { type: "string" },
+    json: { type: "boolean", default: false }
+  });
+  const [action, test] = positionals;
+  if (action === "list") return printRunList(values);
+  if (action === "stats" && test) return printRunStats(test, values);
+  throw new UsageError("usage: qa-bot runs list [filters] | qa-bot runs stats <test> [--last n]");
+}
+
+async function baseline(args) {
+  const { values, positionals } = parse(args, { last: { type: "string" } });
+  const [action, test, ...runIds] = positionals;
+  if (!test || !["set", "show", "clear"].includes(action)) {
+    throw new UsageError("usage: qa-bot baseline set <test> (<runId>... | --last n) | show <test> | clear <test>");
+  }
+  const dir = runsDir(values);
+
+  if (action === "show") {
+    const current = readBaseline(dir, test);
+    if (!current) {
+      console.error(`No baseline for ${test}`);
+      return 1;
+    }
+    console.log(JSON.stringify(current, null, 2));
+    return 0;
+  }
+  if (action === "clear") {
+    if (!clearBaseline(dir, test)) {
+      console.error(`No baseline for ${test}`);
+      return 1;
+    }
+    console.log(`Cleared the ${test} baseline`);
+    return 0;
+  }
+
+  let metas;
+  if (values.last !== undefined) {
+    metas = listRuns(dir, { test })
+      .filter((m) => m.status === "PASS" || m.status === "FAIL")
+      .slice(0, positiveNumber(values.last, "last"));
+  } else if (runIds.length > 0) {
+    metas = runIds.map((id) => readRun(dir, id, { includeSteps: false })?.meta);
+    const missing = runIds.filter((id, i) => !metas[i]);
+    if (missing.length > 0) throw new Error(`Run not found: ${missing.join(", ")}`);
+  } else {
+    throw new UsageError("baseline set needs run ids or --last n");
+  }
+  const marked = setBaseline(dir, test, metas);
+  console.log(`Baseline for ${test}: ${marked.runIds.length} run(s), ${marked.metrics.stepsPerChest ?? "n/a"} steps/chest, ` +
+    `pass rate ${formatRate(marked.passRate)}`);
+  return 0;
+}
+
+// Paths to spec or suite files also choose the tests directory: a file in a
+// `suites/` folder is a suite of the folder above it.
+function resolveRunTarget(target, values) {
+  if (!target) return null;
+  if (target.endsWith(".yaml") && fs.existsSync(target)) {
+    const dir = path.dirname(path.resolve(target));
+    const isSuite = path.basename(dir) === "suites";
+    if (!values["tests-dir"]) values["tests-dir"] = isSuite ? path.dirname(dir) : dir;
+    return { name: path.basename(target, ".yaml"), isSuite };
+  }
+  const dir = testsDir(values);
+  const isSuite = values.suite ||
+    (!fs.existsSync(path.join(dir, `${target}.yaml`)) && fs.existsSync(path.join(dir, "suites", `${target}.yaml`)));
+  return { name: target, isSuite };
+}
+
+const DEFAULT_MAP = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "maps", "small_maze.txt");
+
+const CLIENTS = {
+  sim(values) {
+    const map = loadMap(values.map || DEFAULT_MAP);
+    return () => createGridWorld(map);
+  },
+  replay(values) {
+    if (!values.from) throw new UsageError("--client replay needs --from <runId>");
+    const recorded = readRun(runsDir(values), values.from);
+    if (!recorded) throw new UsageError(`Run not found: ${values.from} (in ${runsDir(values)})`);
+    return () => createRecordedClient(recorded.steps);
+  }
+};
+
+async function run(args) {
+  const { values, positionals } = parse(args, {
+    client: { type: "string", default: "sim" },
+    map: { type: "string" },
+    from: { type: "string" },
+    suite: { type: "boolean", default: false },
+    interval: { type: "string", default: "0.5" },
+    "max-steps": { type: "string", default: "1000" },
+    junit: { type: "string" },
+    verbose: { type: "boolean", short: "v", default: false }
+  });
+  const makeClient = CLIENTS[values.client];
+  if (!makeClient) throw new UsageError(`--client must be one of ${Object.keys(CLIENTS).join(", ")}`);
+  const target = resolveRunTarget(positionals[0], values);
+  if (!target && values.client !== "replay") throw new UsageError("run needs a spec or suite");
+  const createClient = makeClient(values);
+
+  let start;
+  if (!target) start = { replayRunId: values.from };
+  else start = target.isSuite ? { suiteName: target.name } : { testName: target.name };
+
+  const result = await withServer(values, (baseUrl) => runScenario(baseUrl, {
+    start,
+    createClient,
+    stepIntervalSec: positiveNumber(values.interval, "interval"),
+    maxSteps: positiveNumber(values["max-steps"], "max-steps"),
+    onStep: values.verbose
+      ? ({ steps, observation, response }) => {
+        const p = observation.position;
+        console.log(`${steps} (${p.x}, ${p.y}, ${p.z}) yaw ${observation.yaw} chests ${observation.chestsFound}/${observation.totalChests} => ${response.command || "-"} ${response.note || ""}`);
+      }
+      : null
+  }));
+
+  for (const r of result.reports) {
+    console.log(`${r.status.padEnd(4)}  ${r.testName}  ${r.doneReason || "not finished"} after ${r.stepsTaken} steps  (run ${r.runId})`);
+  }
+  const failed = result.reports.filter((r) => r.status !== "PASS").length;
+  console.log(`${result.reports.length - failed}/${result.reports.length} runs passed in ${result.steps} steps`);
+
+  if (values.junit) {
+    const name = result.suite?.name || result.reports[0]?.testName || "qa-bot";
+    const rows = result.suite
+      ? result.suite.runs
+      : result.reports.map((r) => {
+        const stored = readRun(runsDir(values), r.runId, { includeSteps: false });
+        if (!stored) throw new Error(`Run not found: ${r.runId} (in ${runsDir(values)}); cannot write ${values.junit}`);
+        return runResultRow(stored.meta);
+      });
+    fs.writeFileSync(values.junit, buildJUnitXml(name, rows));
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+const COMMANDS = { serve, validate, report, runs, baseline, run };
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    console.log(USAGE);
+    return name ? 0 : 2;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`unknown command: ${name}`);
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(USAGE);
+    return 0;
+  }
+  return command(args);
+}
+
+try {
+  const code = await main(process.argv.slice(2));
+  // `serve` keeps running; everything else exits with its status.
+  if (code !== null) process.exitCode = code;
+} catch (err) {
+  if (err instanceof UsageError) {
+    console.error(`qa-bot: ${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    console.error(`qa-bot: ${err?.message || err}`);
+    process.exitCode = 1;
+  }
+}
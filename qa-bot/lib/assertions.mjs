@@ -0,0 +1,302 @@
+// Spec-level assertions over observation fields:
+//
+//   assertions:
+//     - { name: alive, expr: "obs.health > 0" }                    # mode: always (default)
+//     - { name: found_key, expr: "obs.inventory.length > 0", mode: eventually }
+//     - { name: above_floor, expr: "obs.position.y > -0.5", mode: at_end }
+//
+// Expressions are parsed by a small evaluator, never eval(): literals,
+// identifiers from the scope (obs, prev, step, chestsFound, totalChests),
+// member access (`a.b`, `a[0]`, `.length`), arithmetic, comparisons
+// (== and != compare strictly), && || ! and parentheses. No calls. Any
+// other identifier is a compile error, so a typo like `ob.health` fails
+// spec validation instead of reading as undefined.
+
+export const ASSERTION_MODES = ["always", "eventually", "at_end"];
+
+export const assertionSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    expr: { type: "string" },
+    mode: { type: "string", enum: ASSERTION_MODES },
+    description: { type: "string" }
+  },
+  required: ["expr"]
+};
+
+const TOKEN_PATTERN = /\s*(\d+(?:\.\d+)?|[A-Za-z_]\w*|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|===|!==|==|!=|<=|>=|&&|\|\||[-+*/%<>!().[\]])/y;
+const LITERALS = { true: true, false: false, null: null };
+// Names assertionScope() provides.
+const SCOPE_NAMES = ["obs", "prev", "step", "chestsFound", "totalChests"];
+
+function tokenize(src) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let index = 0;
+  while (index < src.length) {
+    if (/^\s*$/.test(src.slice(index))) break;
+    TOKEN_PATTERN.lastIndex = index;
+    const match = TOKEN_PATTERN.exec(src);
+    if (!match) throw new Error(`unexpected character at ${index}: "${src.slice(index).trim()[0]}"`);
+    tokens.push(match[1]);
+    index = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+}
+
+function readMember(target, key) {
+  if (target === null || target === undefined) return undefined;
+  if (key === "length" && (Array.isArray(target) || typeof target === "string")) return target.length;
+  if (typeof target !== "object") return undefined;
+  return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+}
+
+const BINARY = {
+  "||": null,
+  "&&": null,
+  "==": (a, b) => a === b,
+  "===": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "!==": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b
+};
+
+const PRECEDENCE = [["||"], ["&&"], ["==", "===", "!=", "!=="], ["<", "<=", ">", ">="], ["+", "-"], ["*", "/", "%"]];
+
+// Returns a function (scope) => value; throws on syntax errors.
+export function compileExpression(src) {
+  const tokens = tokenize(String(src));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const expect = (token) => {
+    if (tokens[pos] !== token) throw new Error(`expected "${token}" but found ${tokens[pos] ? `"${tokens[pos]}"` : "end of expression"}`);
+    pos += 1;
+  };
+
+  function binary(level) {
+    if (level === PRECEDENCE.length) return unary();
+    let left = binary(level + 1);
+    while (PRECEDENCE[level].includes(peek())) {
+      const op = tokens[pos++];
+      const right = binary(level + 1);
+      const l = left;
+      if (op === "||") left = (scope) => l(scope) || right(scope);
+      else if (op === "&&") left = (scope) => l(scope) && right(scope);
+      else left = (scope) => BINARY[op](l(scope), right(scope));
+    }
+    return left;
+  }
+
+  function unary() {
+    if (peek() === "!") {
+      pos += 1;
+      const operand = unary();
+      return (scope) => !operand(scope);
+    }
+    if (peek() === "-") {
+      pos += 1;
+      const operand = unary();
+      return (scope) => -operand(scope);
+    }
+    return member();
+  }
+
+  function member() {
+    let target = primary();
+    for (;;) {
+      if (peek() === ".") {
+        pos += 1;
+        const key = tokens[pos++];
+        if (!key || !/^[A-Za-z_]\w*$/.test(key)) throw new Error(`expected a field name after "."`);
+        const t = target;
+        target = (scope) => readMember(t(scope), key);
+      } else if (peek() === "[") {
+        pos += 1;
+        const keyExpr = binary(0);
+        expect("]");
+        const t = target;
+        target = (scope) => readMember(t(scope), keyExpr(scope));
+      } else {
+        return target;
+      }
+    }
+  }
+
+  function primary() {
+    const token = tokens[pos++];
+    if (token === undefined) throw new Error("unexpected end of expression");
+    if (token === "(") {
+      const inner = binary(0);
+      expect(")");
+      return inner;
+    }
+    if (/^\d/.test(token)) {
+      const value = Number(token);
+      return () => value;
+    }
+    if (token[0] === "\"" || token[0] === "'") {
+      const value = token.slice(1, -1).replace(/\\(.)/g, "$1");
+      return () => value;
+    }
+    if (Object.prototype.hasOwnProperty.call(LITERALS, token)) {
+      const value = LITERALS[token];
+      return () => value;
+    }
+    if (/^[A-Za-z_]\w*$/.test(token)) {
+      if (!SCOPE_NAMES.includes(token)) {
+        throw new Error(`unknown name "${token}" (expected ${SCOPE_NAMES.join(", ")})`);
+      }
+      return (scope) => readMember(scope, token);
+    }
+    throw new Error(`unexpected "${token}"`);
+  }
+
+  const fn = binary(0);
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos]}"`);
+  return fn;
+}
+
+// Returns error strings for spec validation (bad expressions, duplicate names).
+export function checkAssertions(assertions) {
+  if (!Array.isArray(assertions)) return [];
+  const errors = [];
+  const seen = new Set();
+  assertions.forEach((assertion, i) => {
+    if (typeof assertion?.expr === "string") {
+      try {
+        compileExpression(assertion.expr);
+      } catch (err) {
+        errors.push(`assertions[${i}].expr: ${err.message}`);
+      }
+    }
+    const name = assertionName(assertion, i);
+    if (seen.has(name)) errors.push(`assertions[${i}].name "${name}" is used twice`);
+    seen.add(name);
+  });
+  return errors;
+}
+
+function assertionName(assertion, index) {
+  return assertion?.name || `assertion_${index + 1}`;
+}
+
+export function createAssertionState(assertions) {
+  return (assertions || []).map((assertion, i) => ({
+    name: assertionName(assertion, i),
+    expr: assertion.expr,
+    mode: assertion.mode || "always",
+    evaluate: compileExpression(assertion.expr),
+    status: "pending",
+    step: null,
+    lastValue: undefined,
+    error: null
+  }));
+}
+
+// An unparseable observation reads as {}, as `obs` does in server.mjs.
+function parseObservation(json) {
+  try {
+    return JSON.parse(json || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+function assertionScope(session) {
+  const prev = session.history.length > 1 ? session.history[session.history.length - 2] : null;
+  return {
+    obs: session.lastObservation || {},
+    prev: prev ? parseObservation(prev.observationJson) : null,
+    step: session.stepsTaken,
+    chestsFound: session.chestsFound,
+    totalChests: session.totalChests
+  };
+}
+
+function run(assertion, scope) {
+  try {
+    assertion.lastValue = assertion.evaluate(scope);
+    return Boolean(assertion.lastValue);
+  } catch (err) {
+    assertion.error = err?.message || String(err);
+    return false;
+  }
+}
+
+// Checks `always` and `eventually` assertions for the current step. Returns
+// the first `always` assertion that failed, or null.
+export function evaluateAssertions(session) {
+  const pending = session.assertions.filter((a) => a.status === "pending" && a.mode !== "at_end");
+  if (pending.length === 0) return null;
+  const scope = assertionScope(session);
+  let failed = null;
+  for (const assertion of pending) {
+    const ok = run(assertion, scope);
+    if (assertion.mode === "always" && !ok) {
+      assertion.status = "fail";
+      assertion.step = session.stepsTaken;
+      failed = failed || assertion;
+    } else if (assertion.mode === "eventually" && ok) {
+      assertion.status = "pass";
+      assertion.step = session.stepsTaken;
+    }
+  }
+  return failed;
+}
+
+// Settles every assertion once the run is done: `at_end` is checked against
+// the final observation, `eventually` fails if it never held, `always`
+// passes if it never failed.
+export function finalizeAssertions(session) {
+  const scope = assertionScope(session);
+  for (const assertion of session.assertions) {
+    if (assertion.status !== "pending") continue;
+    if (assertion.mode === "at_end") {
+      assertion.status = run(assertion, scope) ? "pass" : "fail";
+      assertion.step = session.stepsTaken;
+    } else {
+      assertion.status = assertion.mode === "always" ? "pass" : "fail";
+    }
+  }
+}
+
+export function assertionsFailed(session) {
+  return session.assertions.some((a) => a.status === "fail");
+}
+
+function formatValue(value) {
+  if (value === undefined) return "undefined";
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+export function summarizeAssertions(session) {
+  return session.assertions.map(({ name, expr, mode, status, step, lastValue, error }) => ({
+    name,
+    expr,
+    mode,
+    status,
+    step,
+    lastValue: lastValue === undefined ? null : lastValue,
+    error
+  }));
+}
+
+// Rows for the report's constraints table.
+export function assertionConstraintRows(session) {
+  return session.assertions.map((a) => {
+    const actual = a.error
+      ? `error: ${a.error}`
+      : `${formatValue(a.lastValue)}${a.step !== null ? ` at step ${a.step}` : ""}`;
+    return { constraint: `assert ${a.name} (${a.mode})`, limit: a.expr, actual, status: a.status.toUpperCase() };
+  });
+}
@@ -0,0 +1,292 @@
+import fs from "fs";
+import path from "path";
+
+// Run-to-run trends for one test. Every finished run stores a few comparable
+// metrics in run.json; a baseline is a set of runs marked as the reference
+// for their test (runs/baselines.json), and later runs are diffed against the
+// mean of those runs with per-metric regression thresholds. A level change
+// that puts chests out of reach shows up as a steps-per-chest regression, or
+// as "no chest found" when the baseline runs found one.
+
+export const DEFAULT_THRESHOLDS = {
+  // Largest allowed relative increase over the baseline (0.25 = +25%).
+  stepsPerChest: 0.25,
+  durationSec: 0.5,
+  // Largest allowed drop, in percentage points of area covered.
+  coveragePercent: 10,
+  // Largest allowed increase in fallback commands per step.
+  fallbackRate: 0.05,
+  // Findings not seen in any baseline run.
+  newFindings: 0
+};
+
+// Findings match across runs by detector and a coarse position cell.
+const FINDING_CELL = 2;
+
+export const baselineSchema = {
+  type: "object",
+  properties: {
+    window: { type: "number", integer: true, min: 2 },
+    failOnRegression: { type: "boolean" },
+    thresholds: {
+      type: "object",
+      properties: {
+        stepsPerChest: { type: "number", min: 0 },
+        durationSec: { type: "number", min: 0 },
+        coveragePercent: { type: "number", min: 0 },
+        fallbackRate: { type: "number", min: 0 },
+        newFindings: { type: "number", integer: true, min: 0 }
+      }
+    }
+  }
+};
+
+export function resolveBaseline(raw) {
+  return {
+    window: Number.isInteger(raw?.window) ? raw.window : 10,
+    failOnRegression: Boolean(raw?.failOnRegression),
+    thresholds: { ...DEFAULT_THRESHOLDS, ...(raw?.thresholds || {}) }
+  };
+}
+
+function round(value, digits = 3) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+export function findingKey(finding) {
+  const p = finding.position;
+  return p ? `${finding.detector}@${Math.round(p.x / FINDING_CELL)},${Math.round(p.z / FINDING_CELL)}` : finding.detector;
+}
+
+// The metrics stored with a run (run.json `metrics`). `findings` are
+// summarizeFindings() entries.
+export function comparableMetrics({ stepsTaken, chestsFound, totalChests, durationSec, coveragePercent, fallbacks, findings }) {
+  return {
+    stepsPerChest: chestsFound > 0 ? round(stepsTaken / chestsFound) : null,
+    chestsFound,
+    totalChests,
+    durationSec: round(durationSec),
+    coveragePercent: Number.isFinite(coveragePercent) ? coveragePercent : null,
+    fallbackRate: stepsTaken > 0 ? round(fallbacks / stepsTaken) : null,
+    findingKeys: [...new Set(findings.map(findingKey))].sort()
+  };
+}
+
+function mean(values) {
+  const finite = values.filter(Number.isFinite);
+  return finite.length > 0 ? round(finite.reduce((sum, v) => sum + v, 0) / finite.length) : null;
+}
+
+function aggregateMetrics(metricsList) {
+  return {
+    stepsPerChest: mean(metricsList.map((m) => m.stepsPerChest)),
+    // Share of baseline runs that found at least one chest.
+    chestRate: round(metricsList.filter((m) => m.chestsFound > 0).length / metricsList.length),
+    durationSec: mean(metricsList.map((m) => m.durationSec)),
+    coveragePercent: mean(metricsList.map((m) => m.coveragePercent)),
+    fallbackRate: mean(metricsList.map((m) => m.fallbackRate)),
+    findingKeys: [...new Set(metricsList.flatMap((m) => m.findingKeys))].sort()
+  };
+}
+
+const FINISHED = new Set(["PASS", "FAIL"]);
+
+// Share of consecutive finished runs whose result differs from the run
+// before: 0 for a test that always passes (or always fails), 1 for one that
+// alternates. `statuses` are in run order; null with fewer than two runs.
+export function flakinessScore(statuses) {
+  const finished = statuses.filter((s) => FINISHED.has(s));
+  if (finished.length < 2) return null;
+  let flips = 0;
+  for (let i = 1; i < finished.length; i++) {
+    if (finished[i] !== finished[i - 1]) flips += 1;
+  }
+  return round(flips / (finished.length - 1));
+}
+
+// Pass rate, flakiness and mean metrics over the last `window` finished runs.
+// `metas` are run.json contents, any order.
+export function testTrend(metas, window = 10) {
+  const finished = metas
+    .filter((m) => FINISHED.has(m.status))
+    .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)))
+    .slice(-window);
+  const passed = finished.filter((m) => m.status === "PASS").length;
+  const measured = finished.map((m) => m.metrics).filter(Boolean);
+  return {
+    runs: finished.length,
+    passed,
+    passRate: finished.length > 0 ? round(passed / finished.length) : null,
+    flakiness: flakinessScore(finished.map((m) => m.status)),
+    statuses: finished.map((m) => ({ runId: m.id, status: m.status, startedAt: m.startedAt })),
+    metrics: measured.length > 0 ? aggregateMetrics(measured) : null
+  };
+}
+
+function baselinesFile(runsDir) {
+  return path.join(runsDir, "baselines.json");
+}
+
+export function readBaselines(runsDir) {
+  try {
+    return JSON.parse(fs.readFileSync(baselinesFile(runsDir), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+export function readBaseline(runsDir, test) {
+  return readBaselines(runsDir)[test] || null;
+}
+
+function writeBaselines(runsDir, baselines) {
+  fs.mkdirSync(runsDir, { recursive: true });
+  fs.writeFileSync(baselinesFile(runsDir), `${JSON.stringify(baselines, null, 2)}\n`);
+}
+
+// Marks finished runs of `test` (run.json contents) as its baseline,
+// replacing any earlier one. The mean metrics are stored too, so the baseline
+// outlives its run directories.
+export function setBaseline(runsDir, test, metas) {
+  if (metas.length === 0) throw new Error(`No runs given for the ${test} baseline`);
+  for (const meta of metas) {
+    if (meta.test !== test) throw new Error(`Run ${meta.id} is a run of ${meta.test}, not ${test}`);
+    if (!FINISHED.has(meta.status)) throw new Error(`Run ${meta.id} has not finished (status: ${meta.status})`);
+    if (!meta.metrics) throw new Error(`Run ${meta.id} has no stored metrics; re-run the test to get a baseline run`);
+  }
+  const baseline = {
+    test,
+    runIds: metas.map((m) => m.id),
+    markedAt: new Date().toISOString(),
+    passRate: round(metas.filter((m) => m.status === "PASS").length / metas.length),
+    metrics: aggregateMetrics(metas.map((m) => m.metrics))
+  };
+  const baselines = readBaselines(runsDir);
+  baselines[test] = baseline;
+  writeBaselines(runsDir, baselines);
+  return baseline;
+}
+
+export function clearBaseline(runsDir, test) {
+  const baselines = readBaselines(runsDir);
+  if (!baselines[test]) return false;
+  delete baselines[test];
+  writeBaselines(runsDir, baselines);
+  return true;
+}
+
+function relativeRow(metric, base, current, threshold) {
+  if (!Number.isFinite(base) || !Number.isFinite(current) || base === 0) {
+    return { metric, baseline: base, current, change: null, threshold, status: "n/a" };
+  }
+  const change = round((current - base) / base);
+  return { metric, baseline: base, current, change, threshold, status: change > threshold ? "REGRESSED" : "OK" };
+}
+
+// Diff of one run's metrics against a baseline; `thresholds` from
+// resolveBaseline().
+export function compareToBaseline(baseline, metrics, thresholds) {
+  const base = baseline.metrics;
+  const rows = [];
+
+  const stepsRow = relativeRow("stepsPerChest", base.stepsPerChest, metrics.stepsPerChest, thresholds.stepsPerChest);
+  // No chest at all where the baseline runs found some is the strongest
+  // sign that chests became harder to reach.
+  if (metrics.stepsPerChest === null && base.chestRate > 0) {
+    Object.assign(stepsRow, { status: "REGRESSED", note: "no chest found" });
+  }
+  rows.push(stepsRow);
+  rows.push(relativeRow("durationSec", base.durationSec, metrics.durationSec, thresholds.durationSec));
+
+  if (Number.isFinite(base.coveragePercent) && Number.isFinite(metrics.coveragePercent)) {
+    const change = round(metrics.coveragePercent - base.coveragePercent, 2);
+    rows.push({
+      metric: "coveragePercent",
+      baseline: base.coveragePercent,
+      current: metrics.coveragePercent,
+      change,
+      threshold: thresholds.coveragePercent,
+      status: -change > thresholds.coveragePercent ? "REGRESSED" : "OK"
+    });
+  } else {
+    rows.push({ metric: "coveragePercent", baseline: base.coveragePercent, current: metrics.coveragePercent, change: null, threshold: thresholds.coveragePercent, status: "n/a" });
+  }
+
+  if (Number.isFinite(base.fallbackRate) && Number.isFinite(metrics.fallbackRate)) {
+    const change = round(metrics.fallbackRate - base.fallbackRate);
+    rows.push({
+      metric: "fallbackRate",
+      baseline: base.fallbackRate,
+      current: metrics.fallbackRate,
+      change,
+      threshold: thresholds.fallbackRate,
+      status: change > thresholds.fallbackRate ? "REGRESSED" : "OK"
+    });
+  } else {
+    rows.push({ metric: "fallbackRate", baseline: base.fallbackRate, current: metrics.fallbackRate, change: null, threshold: thresholds.fallbackRate, status: "n/a" });
+  }
+
+  const known = new Set(base.findingKeys);
+  const newFindings = metrics.findingKeys.filter((key) => !known.has(key));
+  rows.push({
+    metric: "newFindings",
+    baseline: null,
+    current: newFindings.length,
+    change: newFindings.length,
+    threshold: thresholds.newFindings,
+    status: newFindings.length > thresholds.newFindings ? "REGRESSED" : "OK"
+  });
+
+  const regressions = rows.filter((r) => r.status === "REGRESSED").map((r) => r.metric);
+  return {
+    test: baseline.test,
+    baselineRunIds: baseline.runIds,
+    markedAt: baseline.markedAt,
+    rows,
+    newFindings,
+    regressions,
+    regressed: regressions.length > 0
+  };
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? "n/a" : String(value);
+}
+
+function formatChange(row) {
+  if (row.change === null) return row.note || "n/a";
+  if (row.metric === "stepsPerChest" || row.metric === "durationSec") {
+    return `${row.change >= 0 ? "+" : ""}${(row.change * 100).toFixed(1)}%`;
+  }
+  return `${row.change >= 0 ? "+" : ""}${row.change}`;
+}
+
+function formatThreshold(row) {
+  if (row.metric === "stepsPerChest" || row.metric === "durationSec") return `+${(row.threshold * 100).toFixed(0)}%`;
+  if (row.metric === "coveragePercent") return `-${row.threshold} pts`;
+  return `+${row.threshold}`;
+}
+
+function formatRate(rate) {
+  return rate === null ? "n/a" : `${(rate * 100).toFixed(1)}%`;
+}
+
+export function buildBaselineReportSection(diff, trend) {
+  const trendLine = trend.runs > 0
+    ? `- Last ${trend.runs} finished runs: pass rate ${formatRate(trend.passRate)} (${trend.passed}/${trend.runs}), ` +
+      `flakiness ${formatValue(trend.flakiness)}\n`
+    : "";
+  if (!diff) {
+    return `## Baseline\n- No baseline marked for this test.\n${trendLine}\n`;
+  }
+  const rows = diff.rows.map((r) =>
+    `| ${r.metric} | ${formatValue(r.baseline)} | ${formatValue(r.current)} | ${formatChange(r)} | ${formatThreshold(r)} | ${r.status} |`);
+  return `## Baseline\n` +
+    `- Baseline: ${diff.baselineRunIds.length} run(s), marked ${diff.markedAt}\n` +
+    `- Result: ${diff.regressed ? `REGRESSED (${diff.regressions.join(", ")})` : "no regressions"}\n` +
+    trendLine +
+    `\n| Metric | Baseline | This run | Change | Threshold | Status |\n| --- | --- | --- | --- | --- | --- |\n` +
+    `${rows.join("\n")}\n` +
+    (diff.newFindings.length > 0 ? `\n- New findings: ${diff.newFindings.join(", ")}\n` : "") +
+    `\n`;
+}
@@ -0,0 +1,122 @@
+// Command grammar understood by PlayerE2EDriver:
+//   move_fwd:<seconds> | move_back:<seconds> | turn_left:<degrees> | turn_right:<degrees> | jump
+// Parameters outside the configured limits are clamped rather than rejected.
+
+const COMMAND_DEFS = {
+  move_fwd: { unit: "seconds", min: 0.1, max: 3 },
+  move_back: { unit: "seconds", min: 0.1, max: 3 },
+  turn_left: { unit: "degrees", min: 1, max: 180 },
+  turn_right: { unit: "degrees", min: 1, max: 180 },
+  jump: { unit: null }
+};
+
+export const COMMAND_NAMES = Object.keys(COMMAND_DEFS);
+
+const COMMAND_PATTERN = /^([a-z_]+)(?::\s*(-?\d+(?:\.\d+)?))?$/i;
+
+const LIMIT_SCHEMA = {
+  type: "object",
+  properties: { min: { type: "number", min: 0 }, max: { type: "number", min: 0 } }
+};
+
+export const commandRulesSchema = {
+  allowedCommands: { type: "array", items: { type: "string", enum: COMMAND_NAMES } },
+  commandLimits: {
+    type: "object",
+    properties: Object.fromEntries(
+      COMMAND_NAMES.filter((name) => COMMAND_DEFS[name].unit).map((name) => [name, LIMIT_SCHEMA])
+    )
+  }
+};
+
+// Spec fields: allowedCommands (list of names) and commandLimits
+// ({ move_fwd: { min, max }, ... }) on top of the defaults above.
+export function resolveCommandRules(spec) {
+  const allowed = Array.isArray(spec?.allowedCommands) && spec.allowedCommands.length > 0
+    ? spec.allowedCommands.filter((name) => COMMAND_DEFS[name])
+    : COMMAND_NAMES;
+  const limits = {};
+  for (const name of allowed) {
+    const def = COMMAND_DEFS[name];
+    if (!def.unit) continue;
+    const override = spec?.commandLimits?.[name] || {};
+    limits[name] = {
+      unit: def.unit,
+      min: Number.isFinite(override.min) ? override.min : def.min,
+      max: Number.isFinite(override.max) ? override.max : def.max
+    };
+  }
+  return { allowed, limits };
+}
+
+// Returns error strings for spec validation: limits whose min ends up above
+// their max once merged with the defaults.
+export function checkCommandRules(spec) {
+  const errors = [];
+  for (const [name, limit] of Object.entries(resolveCommandRules(spec).limits)) {
+    if (limit.min > limit.max) {
+      errors.push(`commandLimits.${name}: min ${limit.min} is greater than max ${limit.max}`);
+    }
+  }
+  return errors;
+}
+
+function formatValue(value) {
+  return String(Number(value.toFixed(2)));
+}
+
+export function describeCommandRules(rules) {
+  return rules.allowed
+    .map((name) => {
+      const limit = rules.limits[name];
+      return limit ? `${name}:<${limit.unit} ${limit.min}-${limit.max}>` : name;
+    })
+    .join(", ");
+}
+
+// Returns { ok, command, clamped, error }. `command` is normalized (lower
+// case, clamped value) when ok.
+export function validateCommand(raw, rules) {
+  if (typeof raw !== "string" || !raw.trim()) {
+    return { ok: false, error: "reply has no command" };
+  }
+  const text = raw.trim();
+  const match = COMMAND_PATTERN.exec(text);
+  if (!match) {
+    return { ok: false, error: `"${raw}" does not match <name>[:<number>]` };
+  }
+
+  const name = match[1].toLowerCase();
+  const def = COMMAND_DEFS[name];
+  if (!def) {
+    return { ok: false, error: `unknown command "${name}"` };
+  }
+  if (!rules.allowed.includes(name)) {
+    return { ok: false, error: `command "${name}" is not allowed by this spec` };
+  }
+  if (!def.unit) {
+    return match[2] === undefined
+      ? { ok: true, command: name, clamped: false }
+      : { ok: false, error: `"${name}" takes no parameter` };
+  }
+  if (match[2] === undefined) {
+    return { ok: false, error: `"${name}" needs a ${def.unit} parameter` };
+  }
+
+  const limit = rules.limits[name];
+  const value = Number(match[2]);
+  const clampedValue = Math.min(limit.max, Math.max(limit.min, value));
+  return {
+    ok: true,
+    command: `${name}:${formatValue(clampedValue)}`,
+    clamped: clampedValue !== value
+  };
+}
+
+// Safe command for when the policy gives up: a short forward move if allowed.
+export function fallbackCommand(rules) {
+  const name = rules.allowed.includes("move_fwd") ? "move_fwd" : rules.allowed[0];
+  const limit = rules.limits[name];
+  if (!limit) return name;
+  return `${name}:${formatValue(Math.min(limit.max, Math.max(limit.min, 0.5)))}`;
+}
@@ -0,0 +1,129 @@
+import { validateCommand } from "./commands.mjs";
+import { dropPlan } from "./plans.mjs";
+
+// Manual run control: pause/resume, abort, and override commands that a
+// human queues to steer the bot. Overrides run before recovery routines,
+// plans and the policy; a paused session answers /step with no command and
+// does not count the step.
+
+const MAX_OVERRIDE_QUEUE = 50;
+
+export function createControlState() {
+  return { paused: false, pauses: [], overrides: [], overridden: [], abortedBy: null };
+}
+
+export function pauseSession(session, reason = "") {
+  const control = session.control;
+  if (control.paused) return false;
+  control.paused = true;
+  control.pauses.push({
+    step: session.stepsTaken,
+    pausedAt: new Date().toISOString(),
+    resumedAt: null,
+    reason,
+    clockSec: session.clockSec,
+    stepSec: session.clockStepSec,
+    pausedSec: null
+  });
+  return true;
+}
+
+export function resumeSession(session) {
+  const control = session.control;
+  if (!control.paused) return false;
+  control.paused = false;
+  control.pauses[control.pauses.length - 1].resumedAt = new Date().toISOString();
+  return true;
+}
+
+// Called on every counted /step once session.clockSec is updated. After a
+// resume, moves the objective timer forward by the clock time spent paused,
+// so a pause longer than the time limit doesn't fail the objective. The
+// first step after the pause would have come one step interval later
+// anyway, so that much still counts.
+export function excludePausedTime(session) {
+  const pause = session.control.pauses[session.control.pauses.length - 1];
+  if (!pause || !pause.resumedAt || pause.pausedSec !== null) return;
+  pause.pausedSec = Number.isFinite(pause.clockSec)
+    ? Math.max(0, session.clockSec - pause.clockSec - pause.stepSec)
+    : 0;
+  if (Number.isFinite(session.objectiveStartedAtSec)) session.objectiveStartedAtSec += pause.pausedSec;
+}
+
+export function abortSession(session, reason = "") {
+  session.done = true;
+  session.doneReason = "aborted";
+  session.control.abortedBy = reason || "manual abort";
+  if (session.control.paused) resumeSession(session);
+}
+
+// Validates and queues commands. Returns { errors } when any command is
+// invalid, so nothing is queued from a half-bad request.
+export function queueOverrides(session, commands, { note = "", replace = false } = {}) {
+  const rules = session.activeTest.commandRules;
+  const checked = commands.map((raw) => ({ raw, check: validateCommand(raw, rules) }));
+  const errors = checked.flatMap((c, idx) => (c.check.ok ? [] : [`commands[${idx}]: ${c.check.error}`]));
+  if (errors.length > 0) return { errors };
+
+  const control = session.control;
+  if (replace) control.overrides = [];
+  if (control.overrides.length + checked.length > MAX_OVERRIDE_QUEUE) {
+    return { errors: [`override queue is limited to ${MAX_OVERRIDE_QUEUE} commands`] };
+  }
+  for (const { raw, check } of checked) {
+    control.overrides.push({ raw, command: check.command, clamped: check.clamped, note });
+  }
+  return { queued: checked.length, pending: control.overrides.length };
+}
+
+// Next manual command as a decision, or null when none is queued.
+export function nextOverrideCommand(session) {
+  const next = session.control.overrides.shift();
+  if (!next) return null;
+  dropPlan(session, "override");
+  session.control.overridden.push({ step: session.stepsTaken, command: next.command, note: next.note });
+  return {
+    command: next.command,
+    note: `manual override${next.note ? `: ${next.note}` : ""}`,
+    fromOverride: true,
+    validation: { raw: next.raw, clamped: next.clamped || undefined }
+  };
+}
+
+export function controlStatus(session) {
+  const control = session.control;
+  return {
+    sessionId: session.id,
+    paused: control.paused,
+    done: session.done,
+    doneReason: session.doneReason,
+    pendingOverrides: control.overrides.map((o) => o.command)
+  };
+}
+
+export function summarizeControl(control) {
+  return {
+    pauses: control.pauses,
+    overriddenSteps: control.overridden,
+    pendingOverrides: control.overrides.map((o) => o.command),
+    abortedBy: control.abortedBy
+  };
+}
+
+// `control` is a summarizeControl() result.
+export function buildControlReportSection(control) {
+  if (control.pauses.length === 0 && control.overriddenSteps.length === 0 && !control.abortedBy) return "";
+  const overrideLines = control.overriddenSteps.map((o) =>
+    `- Step ${o.step}: ${o.command}${o.note ? ` (${o.note})` : ""}`);
+  const pauseLines = control.pauses.map((p) =>
+    `- Paused at step ${p.step} (${p.pausedAt} - ${p.resumedAt || "not resumed"})` +
+    `${p.pausedSec !== null ? `, ${Number(p.pausedSec.toFixed(2))}s excluded from objective time` : ""}` +
+    `${p.reason ? `: ${p.reason}` : ""}`);
+  return `## Run Control\n` +
+    `- Overridden steps: ${control.overriddenSteps.length}\n` +
+    `- Pauses: ${control.pauses.length}\n` +
+    (control.abortedBy ? `- Aborted: ${control.abortedBy}\n` : "") +
+    (pauseLines.length > 0 ? `${pauseLines.join("\n")}\n` : "") +
+    (overrideLines.length > 0 ? `\n### Manual commands\n${overrideLines.join("\n")}\n` : "") +
+    `\n`;
+}
@@ -0,0 +1,228 @@
+// Map coverage from the visited-cell grid in lib/memory.mjs: how many cells
+// the bot walked, what share of the level's area that is, and when each
+// coarser region was first reached. The area is the spec's `coverage.bounds`
+// when given, otherwise the bounding box of the visited cells.
+
+const HEAT_RAMP = "-+*#@";
+const MAX_HEATMAP_WIDTH = 60;
+const MAX_REGION_ROWS = 20;
+
+const NUMBER = { type: "number" };
+
+export const coverageSchema = {
+  type: "object",
+  properties: {
+    bounds: {
+      type: "object",
+      properties: { minX: NUMBER, maxX: NUMBER, minZ: NUMBER, maxZ: NUMBER },
+      required: ["minX", "maxX", "minZ", "maxZ"]
+    },
+    regionSize: { type: "number", min: 0.1 }
+  }
+};
+
+export function resolveCoverage(raw) {
+  return {
+    bounds: raw?.bounds || null,
+    regionSize: Number.isFinite(raw?.regionSize) ? raw.regionSize : 5
+  };
+}
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+// Inclusive cell index range covering the area.
+function areaRange(memory, cellSize, bounds) {
+  if (bounds) {
+    return {
+      minX: Math.floor(bounds.minX / cellSize),
+      maxX: Math.max(Math.floor(bounds.minX / cellSize), Math.ceil(bounds.maxX / cellSize) - 1),
+      minZ: Math.floor(bounds.minZ / cellSize),
+      maxZ: Math.max(Math.floor(bounds.minZ / cellSize), Math.ceil(bounds.maxZ / cellSize) - 1)
+    };
+  }
+  if (memory.cells.size === 0) return null;
+  const range = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+  for (const cell of memory.cells.values()) {
+    range.minX = Math.min(range.minX, cell.ix);
+    range.maxX = Math.max(range.maxX, cell.ix);
+    range.minZ = Math.min(range.minZ, cell.iz);
+    range.maxZ = Math.max(range.maxZ, cell.iz);
+  }
+  return range;
+}
+
+function inRange(range, ix, iz) {
+  return ix >= range.minX && ix <= range.maxX && iz >= range.minZ && iz <= range.maxZ;
+}
+
+export function computeCoverage(memory, { cellSize, coverage, startClockSec = null }) {
+  const range = areaRange(memory, cellSize, coverage.bounds);
+  const stats = {
+    cellSize,
+    cellsVisited: memory.cells.size,
+    areaCells: 0,
+    percent: 0,
+    areaSource: coverage.bounds ? "spec bounds" : "visited bounding box",
+    area: null,
+    regionSize: coverage.regionSize,
+    regions: []
+  };
+  if (!range) return stats;
+
+  const widthCells = range.maxX - range.minX + 1;
+  const depthCells = range.maxZ - range.minZ + 1;
+  stats.areaCells = widthCells * depthCells;
+  stats.area = {
+    minX: round(range.minX * cellSize),
+    maxX: round((range.maxX + 1) * cellSize),
+    minZ: round(range.minZ * cellSize),
+    maxZ: round((range.maxZ + 1) * cellSize)
+  };
+
+  let inside = 0;
+  const regions = new Map();
+  const regionOf = (ix, iz) => ({
+    rx: Math.floor(((ix + 0.5) * cellSize) / coverage.regionSize),
+    rz: Math.floor(((iz + 0.5) * cellSize) / coverage.regionSize)
+  });
+  // Every region touching the area is listed, visited or not.
+  for (let iz = range.minZ; iz <= range.maxZ; iz++) {
+    for (let ix = range.minX; ix <= range.maxX; ix++) {
+      const { rx, rz } = regionOf(ix, iz);
+      const key = `${rx},${rz}`;
+      if (!regions.has(key)) regions.set(key, { rx, rz, cellsVisited: 0, firstStep: null, firstClockSec: null });
+    }
+  }
+  for (const cell of memory.cells.values()) {
+    if (!inRange(range, cell.ix, cell.iz)) continue;
+    inside += 1;
+    const { rx, rz } = regionOf(cell.ix, cell.iz);
+    const region = regions.get(`${rx},${rz}`);
+    region.cellsVisited += 1;
+    if (region.firstStep === null || cell.firstStep < region.firstStep) {
+      region.firstStep = cell.firstStep;
+      region.firstClockSec = cell.firstClockSec;
+    }
+  }
+
+  stats.percent = round((inside / stats.areaCells) * 100, 1);
+  stats.regions = [...regions.values()]
+    .sort((a, b) => b.rz - a.rz || a.rx - b.rx)
+    .map((region) => ({
+      x: [round(region.rx * coverage.regionSize), round((region.rx + 1) * coverage.regionSize)],
+      z: [round(region.rz * coverage.regionSize), round((region.rz + 1) * coverage.regionSize)],
+      cellsVisited: region.cellsVisited,
+      firstStep: region.firstStep,
+      timeToFirstVisitSec: Number.isFinite(region.firstClockSec) && Number.isFinite(startClockSec)
+        ? round(region.firstClockSec - startClockSec, 1)
+        : null
+    }));
+  return stats;
+}
+
+export function sessionCoverage(session) {
+  return computeCoverage(session.exploration, {
+    cellSize: session.activeTest.memory.cellSize,
+    coverage: session.activeTest.coverage,
+    startClockSec: session.firstClockSec
+  });
+}
+
+// Top-down heatmap (+z up) as text rows plus a legend, or null before the
+// first position. Large areas are downsampled so a row stays under
+// MAX_HEATMAP_WIDTH characters; a block shows its busiest cell.
+export function renderCoverageHeatmap(memory, stats, { start = null, end = null } = {}) {
+  if (!stats.area) return null;
+  const { cellSize } = stats;
+  const minX = Math.round(stats.area.minX / cellSize);
+  const maxX = Math.round(stats.area.maxX / cellSize) - 1;
+  const minZ = Math.round(stats.area.minZ / cellSize);
+  const maxZ = Math.round(stats.area.maxZ / cellSize) - 1;
+  const scale = Math.max(1, Math.ceil(Math.max(maxX - minX + 1, maxZ - minZ + 1) / MAX_HEATMAP_WIDTH));
+
+  let maxVisits = 1;
+  for (const cell of memory.cells.values()) maxVisits = Math.max(maxVisits, cell.visits);
+  const blockOf = (p) => p && {
+    bx: Math.floor((Math.floor(p.x / cellSize) - minX) / scale),
+    bz: Math.floor((Math.floor(p.z / cellSize) - minZ) / scale)
+  };
+  const startBlock = blockOf(start);
+  const endBlock = blockOf(end);
+
+  const rows = [];
+  for (let bz = Math.floor((maxZ - minZ) / scale); bz >= 0; bz--) {
+    let row = "";
+    for (let bx = 0; bx <= Math.floor((maxX - minX) / scale); bx++) {
+      if (endBlock && endBlock.bx === bx && endBlock.bz === bz) {
+        row += "E";
+        continue;
+      }
+      if (startBlock && startBlock.bx === bx && startBlock.bz === bz) {
+        row += "S";
+        continue;
+      }
+      let visits = 0;
+      for (let dz = 0; dz < scale; dz++) {
+        for (let dx = 0; dx < scale; dx++) {
+          const cell = memory.cells.get(`${minX + bx * scale + dx},${minZ + bz * scale + dz}`);
+          if (cell) visits = Math.max(visits, cell.visits);
+        }
+      }
+      row += visits === 0
+        ? "."
+        : HEAT_RAMP[Math.min(HEAT_RAMP.length - 1, Math.floor(((visits - 1) / maxVisits) * HEAT_RAMP.length))];
+    }
+    rows.push(row);
+  }
+  const legend = `legend: . never  ${HEAT_RAMP.split("").join(" ")} fewer -> more visits  S start  E end` +
+    (scale > 1 ? `  (1 char = ${scale}x${scale} cells)` : "");
+  return { rows, legend };
+}
+
+function formatRange([a, b]) {
+  return `${a}..${b}`;
+}
+
+// Coverage stats with region counts and the heatmap, as stored in the report.
+export function summarizeCoverage(session) {
+  const stats = sessionCoverage(session);
+  const start = session.history[0]?.position || null;
+  return {
+    ...stats,
+    regionsVisited: stats.regions.filter((r) => r.firstStep !== null).length,
+    regionsTotal: stats.regions.length,
+    heatmap: renderCoverageHeatmap(session.exploration, stats, { start, end: session.lastPosition })
+  };
+}
+
+// `stats` is a summarizeCoverage() result.
+export function buildCoverageReportSection(stats) {
+  const heatmap = stats.heatmap ? `${stats.heatmap.rows.join("\n")}\n${stats.heatmap.legend}` : "(no positions yet)";
+  const visitedRegions = stats.regions.filter((r) => r.firstStep !== null);
+  const neverVisited = stats.regions.filter((r) => r.firstStep === null);
+  const rows = visitedRegions
+    .sort((a, b) => a.firstStep - b.firstStep)
+    .slice(0, MAX_REGION_ROWS)
+    .map((r) => `| x ${formatRange(r.x)}, z ${formatRange(r.z)} | ${r.firstStep} | ` +
+      `${r.timeToFirstVisitSec !== null ? `${r.timeToFirstVisitSec}s` : "n/a"} | ${r.cellsVisited} |`);
+  const area = stats.area
+    ? `x ${stats.area.minX}..${stats.area.maxX}, z ${stats.area.minZ}..${stats.area.maxZ}`
+    : "n/a";
+
+  return `## Coverage\n` +
+    `- Cells visited: ${stats.cellsVisited} (cell size ${stats.cellSize})\n` +
+    `- Area covered: ${stats.percent}% of ${stats.areaCells} cells (${stats.areaSource}: ${area})\n` +
+    `- Regions visited: ${visitedRegions.length} / ${stats.regions.length} (region size ${stats.regionSize})\n` +
+    (neverVisited.length > 0
+      ? `- Never visited: ${neverVisited.slice(0, MAX_REGION_ROWS).map((r) => `x ${formatRange(r.x)} z ${formatRange(r.z)}`).join("; ")}` +
+        `${neverVisited.length > MAX_REGION_ROWS ? `; ... ${neverVisited.length - MAX_REGION_ROWS} more` : ""}\n`
+      : "") +
+    `\n\`\`\`\n${heatmap}\n\`\`\`\n\n` +
+    (rows.length > 0
+      ? `| Region | First visit step | Time to first visit | Cells visited |\n| --- | --- | --- | --- |\n${rows.join("\n")}\n` +
+        (visitedRegions.length > MAX_REGION_ROWS ? `\n- ... ${visitedRegions.length - MAX_REGION_ROWS} more\n` : "") +
+        `\n`
+      : "");
+}
@@ -0,0 +1,59 @@
+// Server-sent events for live dashboards. `GET /events` subscribes; every
+// event is sent to all clients, or only to those that asked for its
+// session with `?sessionId=`. A client that asked for a suite's session
+// gets the suite's later sessions too, so it can follow the handoff.
+// Comments are sent periodically so proxies keep idle connections open.
+
+const HEARTBEAT_MS = 15 * 1000;
+
+function formatEvent(id, type, data) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function wants(client, data) {
+  if (!client.sessionId || client.sessionId === data.sessionId) return true;
+  return Boolean(client.suiteId) && client.suiteId === data.suiteId;
+}
+
+export function createEventHub({ heartbeatMs = HEARTBEAT_MS } = {}) {
+  const clients = new Set();
+  let nextId = 1;
+
+  const heartbeat = setInterval(() => {
+    for (const client of clients) client.res.write(": ping\n\n");
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    // `snapshot` events are sent to the new client only, so a page opened
+    // mid-run can draw what happened so far.
+    subscribe(req, res, { sessionId = null, suiteId = null, snapshot = [] } = {}) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive"
+      });
+      res.flushHeaders();
+      res.write("retry: 3000\n\n");
+
+      const client = { res, sessionId, suiteId };
+      clients.add(client);
+      for (const data of snapshot) {
+        if (wants(client, data)) res.write(formatEvent(nextId++, "snapshot", data));
+      }
+      req.on("close", () => clients.delete(client));
+    },
+
+    publish(type, data) {
+      if (clients.size === 0) return;
+      const message = formatEvent(nextId++, type, data);
+      for (const client of clients) {
+        if (wants(client, data)) client.res.write(message);
+      }
+    },
+
+    clientCount() {
+      return clients.size;
+    }
+  };
+}
@@ -0,0 +1,210 @@
+// Rule-based anomaly detectors run on every observation. Unlike done
+// reasons, findings do not end the run; they are level bugs worth a look,
+// each with severity, step, position and the commands that led there.
+//
+//   teleport             - position jumped further than teleportDistance in one step
+//   invalid_observation  - unparseable JSON, missing position, non-numeric fields
+//   chest_count_decreased / chest_count_exceeds_total
+//   floating             - floatSteps steps in a row more than floatHeight above the floor
+//   unexpected_drop      - y fell more than dropHeight in one step without reaching fallY
+
+const MAX_REPORT_FINDINGS = 20;
+const SEVERITY_ORDER = ["high", "medium", "low"];
+
+export const anomaliesSchema = {
+  type: "object",
+  properties: {
+    enabled: { type: "boolean" },
+    teleportDistance: { type: "number", min: 0 },
+    floorY: { type: "number" },
+    floatHeight: { type: "number", min: 0 },
+    floatSteps: { type: "number", integer: true, min: 1 },
+    dropHeight: { type: "number", min: 0 }
+  }
+};
+
+export function resolveAnomalies(raw) {
+  const value = (key, fallback) => (Number.isFinite(raw?.[key]) ? raw[key] : fallback);
+  return {
+    enabled: raw?.enabled !== false,
+    teleportDistance: value("teleportDistance", 5),
+    // Default: the height of the first observation, assuming the bot spawns on the floor.
+    floorY: value("floorY", null),
+    floatHeight: value("floatHeight", 1),
+    floatSteps: value("floatSteps", 8),
+    dropHeight: value("dropHeight", 2)
+  };
+}
+
+export function createFindingsState() {
+  return { findings: [], floorY: null, floatSteps: 0 };
+}
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : value;
+}
+
+function formatPos(p) {
+  if (!p) return "n/a";
+  return `(${[p.x, p.y, p.z].map((v) => round(v)).join(", ")})`;
+}
+
+// Only the position is required. The server has its own fallback for the
+// optional fields (its clock for `time`, 0 for the rest), so those are
+// flagged only when present but not a finite number.
+function observationProblems(obs) {
+  if (obs === null) return { severity: "high", detail: "observation is not valid JSON" };
+  const problems = [];
+  const checkNumber = (value, name, { optional = false } = {}) => {
+    if (value === undefined || value === null) {
+      if (!optional) problems.push(`${name} missing`);
+    } else if (typeof value !== "number" || !Number.isFinite(value)) {
+      problems.push(`${name} is ${JSON.stringify(value)}`);
+    }
+  };
+  if (!obs.position || typeof obs.position !== "object") {
+    problems.push("position missing");
+  } else {
+    ["x", "y", "z"].forEach((axis) => checkNumber(obs.position[axis], `position.${axis}`));
+  }
+  checkNumber(obs.yaw, "yaw", { optional: true });
+  checkNumber(obs.time, "time", { optional: true });
+  checkNumber(obs.chestsFound ?? obs.foundChests, "chestsFound", { optional: true });
+  checkNumber(obs.totalChests, "totalChests", { optional: true });
+  if (problems.length === 0) return null;
+  const broken = problems.some((p) => !p.endsWith("missing"));
+  return { severity: broken ? "high" : "medium", detail: problems.join(", ") };
+}
+
+// A detector that keeps firing on consecutive steps extends its last finding
+// instead of adding one per step.
+function addFinding(state, step, position, detector, severity, detail) {
+  const last = [...state.findings].reverse().find((f) => f.detector === detector);
+  if (last && last.lastStep === step - 1 && last.detail === detail) {
+    last.lastStep = step;
+    last.occurrences += 1;
+    return null;
+  }
+  const finding = {
+    index: state.findings.length + 1,
+    detector,
+    severity,
+    step,
+    lastStep: step,
+    occurrences: 1,
+    position: position ? { ...position } : null,
+    detail
+  };
+  state.findings.push(finding);
+  return finding;
+}
+
+// `current` is { obs (null when unparseable), position, foundChests,
+// totalChests }; the previous history entry supplies the last position and
+// chest count. Returns the new findings.
+export function detectAnomalies(session, current) {
+  const config = session.activeTest.anomalies;
+  if (!config.enabled) return [];
+  const state = session.findings;
+  const step = session.stepsTaken;
+  const fallY = session.activeTest.constraints.fallY;
+  const prev = session.history.length > 1 ? session.history[session.history.length - 2] : null;
+  const { position } = current;
+  const added = [];
+  const report = (...args) => {
+    const finding = addFinding(state, step, position, ...args);
+    if (finding) added.push(finding);
+  };
+
+  const invalid = observationProblems(current.obs);
+  if (invalid) report("invalid_observation", invalid.severity, invalid.detail);
+  // The remaining checks would only echo a broken observation.
+  const positionOk = current.obs?.position && ["x", "y", "z"].every((a) => Number.isFinite(current.obs.position[a]));
+
+  if (prev && positionOk && prev.position) {
+    const dx = position.x - prev.position.x;
+    const dy = position.y - prev.position.y;
+    const dz = position.z - prev.position.z;
+    const jump = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (jump > config.teleportDistance) {
+      report("teleport", "high", `moved ${round(jump)} in one step from ${formatPos(prev.position)}`);
+    }
+    if (-dy > config.dropHeight && position.y >= fallY) {
+      report("unexpected_drop", "medium", `y dropped ${round(-dy)} (to ${round(position.y)}, fallY ${fallY})`);
+    }
+  }
+
+  if (prev && Number.isFinite(prev.chestsFound) && current.foundChests < prev.chestsFound) {
+    report("chest_count_decreased", "high", `chestsFound went from ${prev.chestsFound} to ${current.foundChests}`);
+  }
+  if (current.totalChests > 0 && current.foundChests > current.totalChests) {
+    report("chest_count_exceeds_total", "high", `chestsFound ${current.foundChests} > totalChests ${current.totalChests}`);
+  }
+
+  if (positionOk) {
+    if (state.floorY === null) state.floorY = Number.isFinite(config.floorY) ? config.floorY : position.y;
+    if (position.y > state.floorY + config.floatHeight) {
+      state.floatSteps += 1;
+      if (state.floatSteps === config.floatSteps) {
+        report("floating", "medium",
+          `${state.floatSteps} steps more than ${config.floatHeight} above floor y ${round(state.floorY)}`);
+      }
+    } else {
+      state.floatSteps = 0;
+    }
+  }
+  return added;
+}
+
+// Commands issued before `step`, with repeats folded ("move_fwd:1 x3").
+export function reproCommands(history, step) {
+  const commands = history
+    .filter((entry) => entry.step < step && entry.commandIssued)
+    .map((entry) => entry.commandIssued);
+  const folded = [];
+  for (const command of commands) {
+    const last = folded[folded.length - 1];
+    if (last && last.command === command) last.count += 1;
+    else folded.push({ command, count: 1 });
+  }
+  return folded.map(({ command, count }) => (count > 1 ? `${command} x${count}` : command));
+}
+
+export function summarizeFindings(state, history) {
+  return state.findings.map((finding) => ({
+    ...finding,
+    repro: reproCommands(history, finding.step)
+  }));
+}
+
+function severityRank(severity) {
+  return SEVERITY_ORDER.indexOf(severity);
+}
+
+// `summary` is a summarizeFindings() result.
+export function buildFindingsReportSection(summary) {
+  const findings = [...summary]
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || a.step - b.step);
+  if (findings.length === 0) {
+    return `## Findings\n- (none)\n\n`;
+  }
+  const counts = SEVERITY_ORDER
+    .map((severity) => [severity, findings.filter((f) => f.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`)
+    .join(", ");
+  const shown = findings.slice(0, MAX_REPORT_FINDINGS);
+  const rows = shown.map((f) => {
+    const steps = f.lastStep > f.step ? `${f.step}-${f.lastStep}` : `${f.step}`;
+    return `| ${f.index} | ${f.severity} | ${f.detector} | ${steps} | ${formatPos(f.position)} | ${f.detail} |`;
+  });
+  const repro = shown.map((f) =>
+    `- #${f.index} at step ${f.step}: /start, then ${f.repro.length > 0 ? f.repro.join(", ") : "(no commands)"}`);
+
+  return `## Findings\n` +
+    `- Findings: ${findings.length} (${counts})\n\n` +
+    `| # | Severity | Detector | Step | Position | Detail |\n| --- | --- | --- | --- | --- | --- |\n` +
+    `${rows.join("\n")}\n` +
+    (findings.length > MAX_REPORT_FINDINGS ? `\n- ... ${findings.length - MAX_REPORT_FINDINGS} more\n` : "") +
+    `\n### Repro steps\n${repro.join("\n")}\n\n`;
+}
@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Wraps genAI.models.generateContent with a per-call timeout, retries with
+// exponential backoff and jitter, a per-process rate limit, and an optional
+// on-disk cache keyed by a hash of the request. Every model call in the
+// server goes through one client so the rate limit covers all of them.
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+export class GeminiCallError extends Error {
+  constructor(message, { reason, status = null, attempts = 1, cause } = {}) {
+    super(message, { cause });
+    this.name = "GeminiCallError";
+    this.reason = reason;
+    this.status = status;
+    this.attempts = attempts;
+  }
+}
+
+// Sorts a failure into "timeout", "rate_limited", "server_error",
+// "client_error", "network" or "error" for retries and the report.
+function classifyError(err) {
+  if (err instanceof GeminiCallError) return { reason: err.reason, status: err.status };
+  const status = Number.isFinite(err?.status) ? err.status : Number(/got status: (\d{3})/.exec(err?.message || "")?.[1]) || null;
+  if (err?.name === "AbortError") return { reason: "timeout", status };
+  if (status === 429) return { reason: "rate_limited", status };
+  if (status === 408) return { reason: "timeout", status };
+  if (status >= 500) return { reason: "server_error", status };
+  if (status >= 400) return { reason: "client_error", status };
+  if (err?.name === "TypeError" || /fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|socket/i.test(err?.message || "")) {
+    return { reason: "network", status };
+  }
+  return { reason: "error", status };
+}
+
+function isRetryable({ reason, status }) {
+  return reason === "timeout" || reason === "network" || reason === "rate_limited" || RETRYABLE_STATUS.has(status);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with jitter: between half and all of the capped delay.
+export function backoffDelayMs(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(cap * (0.5 + random() / 2));
+}
+
+function withTimeout(promise, ms) {
+  if (!(ms > 0)) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new GeminiCallError(`request timed out after ${ms}ms`, { reason: "timeout" })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Spaces request starts evenly so at most `requestsPerMinute` start in any
+// minute. Waiting callers queue in arrival order.
+function createRateLimiter(requestsPerMinute) {
+  const intervalMs = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let nextSlotMs = 0;
+  return async function acquire() {
+    if (!intervalMs) return 0;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotMs);
+    nextSlotMs = slot + intervalMs;
+    const waitMs = slot - now;
+    if (waitMs > 0) await sleep(waitMs);
+    return waitMs;
+  };
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function requestCacheKey(request) {
+  return crypto.createHash("sha256").update(stableStringify(request)).digest("hex");
+}
+
+function createResponseCache(dir) {
+  if (!dir) return null;
+  const fileFor = (key) => path.join(dir, key.slice(0, 2), `${key}.json`);
+  return {
+    get(key) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(key), "utf8"));
+      } catch {
+        return null;
+      }
+    },
+    set(key, entry) {
+      try {
+        const file = fileFor(key);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(entry));
+      } catch (err) {
+        console.warn("[qa-bot] gemini cache write failed:", err?.message || err);
+      }
+    }
+  };
+}
+
+export function resolveGeminiClientConfig(env = process.env) {
+  const number = (name, fallback) => {
+    const value = Number(env[name]);
+    return env[name] !== undefined && env[name] !== "" && Number.isFinite(value) ? value : fallback;
+  };
+  return {
+    timeoutMs: number("GEMINI_TIMEOUT_MS", 20000),
+    maxRetries: number("GEMINI_MAX_RETRIES", 3),
+    baseDelayMs: number("GEMINI_RETRY_BASE_MS", 500),
+    maxDelayMs: number("GEMINI_RETRY_MAX_MS", 8000),
+    requestsPerMinute: number("GEMINI_RPM", 60),
+    cacheDir: env.GEMINI_CACHE_DIR ? path.resolve(env.GEMINI_CACHE_DIR) : null
+  };
+}
+
+export function createGeminiClient(genAI, config) {
+  const acquire = createRateLimiter(config.requestsPerMinute);
+  const cache = createResponseCache(config.cacheDir);
+
+  return {
+    cacheEnabled: Boolean(cache),
+
+    // Returns { text, usageMetadata, cached, attempts, waitedMs }. Throws a
+    // GeminiCallError with `reason` once retries are used up.
+    async generateContent(request, { useCache = true } = {}) {
+      const key = cache && useCache ? requestCacheKey(request) : null;
+      const hit = key ? cache.get(key) : null;
+      if (hit) return { text: hit.text, usageMetadata: hit.usageMetadata || null, cached: true, attempts: 0, waitedMs: 0 };
+
+      let waitedMs = 0;
+      for (let attempt = 1; ; attempt++) {
+        waitedMs += await acquire();
+        try {
+          const call = genAI.models.generateContent({
+            ...request,
+            config: { ...request.config, httpOptions: { timeout: config.timeoutMs } }
+          });
+          const response = await withTimeout(call, config.timeoutMs);
+          const result = { text: response?.text ?? "", usageMetadata: response?.usageMetadata || null };
+          if (key) cache.set(key, result);
+          return { ...result, cached: false, attempts: attempt, waitedMs };
+        } catch (err) {
+          const kind = classifyError(err);
+          if (!isRetryable(kind) || attempt > config.maxRetries) {
+            throw new GeminiCallError(err?.message || String(err), { ...kind, attempts: attempt, cause: err });
+          }
+          const delayMs = backoffDelayMs(attempt, config);
+          console.warn("[qa-bot] gemini retry", { attempt, reason: kind.reason, status: kind.status, delayMs });
+          await sleep(delayMs);
+          waitedMs += delayMs;
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,242 @@
+import fs from "fs";
+import path from "path";
+
+// Headless stand-in for the Unity maze: a grid of walls, floor, pits and
+// chests, driven by the PlayerE2EDriver command set and reporting the same
+// observation fields. Movement constants, the chest detection radius and the
+// ray length match the driver's inspector defaults.
+//
+// ASCII maps, one character per cell, the first row is the +z edge:
+//
+//   #########
+//   #S..#..C#     #  wall          S  start facing +z (^ > v < set the facing)
+//   #.#.#.#.#     .  floor         C  chest on floor
+//   #...O...#     O  pit (no floor; so is everything outside the grid)
+//   #########
+//
+// JSON maps are { cellSize, grid: [rows] } or explicit lists:
+// { cellSize, width, height, walls: [[col, row]], pits: [[col, row]],
+//   chests: [{ id, col, row }], start: { col, row, yaw } }.
+
+export const DRIVER_DEFAULTS = {
+  moveSpeed: 3,
+  turnSpeedDeg: 120,
+  jumpSpeed: 5,
+  gravity: -9.81,
+  rayDistance: 5,
+  chestDetectRadius: 6,
+  jumpDurationSec: 0.2
+};
+
+const PLAYER_RADIUS = 0.3;
+const TICK_SEC = 1 / 60;
+const RAY_STEP = 0.05;
+const START_FACING = { S: 0, "^": 0, ">": 90, v: 180, "<": 270 };
+
+const round = (value) => Math.round(value * 1e4) / 1e4;
+
+function parseGrid(rows, name) {
+  const cells = [];
+  const chests = [];
+  let start = null;
+  rows.forEach((line, row) => {
+    cells.push([...line].map((ch, col) => {
+      if (ch === "#") return "wall";
+      if (ch === "O" || ch === " ") return "pit";
+      if (ch === "C") chests.push({ id: `chest-${chests.length + 1}`, col, row });
+      else if (ch in START_FACING) start = { col, row, yaw: START_FACING[ch] };
+      else if (ch !== ".") throw new Error(`${name}: unknown map character "${ch}" at row ${row + 1}, column ${col + 1}`);
+      return "floor";
+    }));
+  });
+  return { cells, chests, start };
+}
+
+function parseLists(data, name) {
+  const { width, height } = data;
+  if (!Number.isInteger(width) || !Number.isInteger(height)) throw new Error(`${name}: width and height are required`);
+  const cells = Array.from({ length: height }, () => Array(width).fill("floor"));
+  const mark = (list, kind) => {
+    for (const [col, row] of list || []) {
+      if (cells[row]?.[col] === undefined) throw new Error(`${name}: ${kind} [${col}, ${row}] is outside the map`);
+      cells[row][col] = kind;
+    }
+  };
+  mark(data.walls, "wall");
+  mark(data.pits, "pit");
+  const chests = (data.chests || []).map((c, i) => ({ id: c.id || `chest-${i + 1}`, col: c.col, row: c.row }));
+  return { cells, chests, start: data.start ? { yaw: 0, ...data.start } : null };
+}
+
+// `text` is an ASCII map or JSON; `name` is used in error messages.
+export function parseMap(text, name = "map") {
+  const trimmed = text.trim();
+  let parsed;
+  let cellSize = 2;
+  if (trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    if (Number.isFinite(data.cellSize)) cellSize = data.cellSize;
+    parsed = Array.isArray(data.grid) ? parseGrid(data.grid, name) : parseLists(data, name);
+  } else {
+    parsed = parseGrid(text.replace(/\r/g, "").split("\n").filter((line) => line.trim()), name);
+  }
+  if (!parsed.start) throw new Error(`${name}: map has no start (S, ^, >, v or <)`);
+  if (parsed.cells[parsed.start.row]?.[parsed.start.col] !== "floor") throw new Error(`${name}: start is not on floor`);
+  return { name, cellSize, rows: parsed.cells.length, ...parsed };
+}
+
+export function loadMap(filePath) {
+  return parseMap(fs.readFileSync(filePath, "utf8"), path.basename(filePath));
+}
+
+export function createGridWorld(map, options = {}) {
+  const cfg = { ...DRIVER_DEFAULTS, ...options };
+  const size = map.cellSize;
+  const center = (col, row) => ({ x: (col + 0.5) * size, z: (map.rows - 1 - row + 0.5) * size });
+  const cellAt = (x, z) => {
+    const col = Math.floor(x / size);
+    const row = map.rows - 1 - Math.floor(z / size);
+    return map.cells[row]?.[col] ?? "pit";
+  };
+
+  const chests = map.chests.map((c) => ({ id: c.id, ...center(c.col, c.row), found: false }));
+  const startAt = center(map.start.col, map.start.row);
+  const player = { x: startAt.x, y: 0, z: startAt.z, yaw: map.start.yaw, vy: 0, grounded: true };
+  let time = 0;
+  let pending = "";
+  let active = null;
+
+  const blocked = (x, z) => {
+    for (const dx of [-PLAYER_RADIUS, PLAYER_RADIUS]) {
+      for (const dz of [-PLAYER_RADIUS, PLAYER_RADIUS]) {
+        if (cellAt(x + dx, z + dz) === "wall") return true;
+      }
+    }
+    return false;
+  };
+
+  const forward = () => {
+    const rad = (player.yaw * Math.PI) / 180;
+    return { x: Math.sin(rad), z: Math.cos(rad) };
+  };
+
+  function castRay(dir) {
+    for (let d = RAY_STEP; d <= cfg.rayDistance; d += RAY_STEP) {
+      if (cellAt(player.x + dir.x * d, player.z + dir.z * d) === "wall") return round(d);
+    }
+    return -1;
+  }
+
+  // Same grammar as PlayerE2EDriver.TryStartCommand; anything else is ignored.
+  function startCommand(raw) {
+    const match = /^(move_fwd|move_back|turn_left|turn_right):(-?[\d.]+)$|^(jump)$/i.exec(raw.trim());
+    if (!match) return null;
+    if (match[3]) return { name: "jump", remaining: cfg.jumpDurationSec };
+    const name = match[1].toLowerCase();
+    const value = Number(match[2]);
+    if (!Number.isFinite(value)) return null;
+    if (name.startsWith("move")) return value > 0 ? { name, remaining: value } : null;
+    return value !== 0 ? { name, remaining: Math.abs(value) / cfg.turnSpeedDeg, sign: Math.sign(value) } : null;
+  }
+
+  function move(dx, dz) {
+    if (player.y < -0.05) return;
+    if (!blocked(player.x + dx, player.z)) player.x += dx;
+    if (!blocked(player.x, player.z + dz)) player.z += dz;
+  }
+
+  function tick(dt) {
+    if (!active && pending) {
+      active = startCommand(pending);
+      pending = "";
+    }
+    let dx = 0;
+    let dz = 0;
+    if (active) {
+      const step = Math.min(dt, active.remaining);
+      active.remaining -= dt;
+      const f = forward();
+      switch (active.name) {
+        case "move_fwd":
+          dx = f.x * cfg.moveSpeed * step;
+          dz = f.z * cfg.moveSpeed * step;
+          break;
+        case "move_back":
+          dx = -f.x * cfg.moveSpeed * step;
+          dz = -f.z * cfg.moveSpeed * step;
+          break;
+        // As in PlayerE2EDriver, turn_left adds to yaw and turn_right subtracts.
+        case "turn_left":
+          player.yaw += active.sign * cfg.turnSpeedDeg * step;
+          break;
+        case "turn_right":
+          player.yaw -= active.sign * cfg.turnSpeedDeg * step;
+          break;
+        case "jump":
+          if (player.grounded && player.vy <= 0) player.vy = cfg.jumpSpeed;
+          break;
+      }
+      player.yaw = ((player.yaw % 360) + 360) % 360;
+      if (active.remaining <= 0) active = null;
+    }
+    move(dx, dz);
+
+    const wasAboveFloor = player.y >= -0.05;
+    player.vy = player.grounded && player.vy < 0 ? -1 : player.vy + cfg.gravity * dt;
+    player.y += player.vy * dt;
+    player.grounded = false;
+    if (wasAboveFloor && player.y <= 0 && cellAt(player.x, player.z) === "floor") {
+      player.y = 0;
+      player.vy = Math.min(player.vy, 0);
+      player.grounded = true;
+    }
+
+    for (const chest of chests) {
+      if (!chest.found && Math.hypot(chest.x - player.x, player.y, chest.z - player.z) <= cfg.chestDetectRadius) {
+        chest.found = true;
+      }
+    }
+    time += dt;
+  }
+
+  return {
+    map,
+
+    // Like writing PlayerE2EDriver.pendingCommand: picked up once the
+    // running command has finished, replacing any command still waiting.
+    sendCommand(command) {
+      if (command) pending = command;
+    },
+
+    advance(seconds) {
+      const ticks = Math.max(1, Math.round(seconds / TICK_SEC));
+      for (let i = 0; i < ticks; i++) tick(TICK_SEC);
+    },
+
+    // The driver's Observation fields.
+    observe() {
+      const f = forward();
+      const unfound = chests.filter((c) => !c.found);
+      const nearest = unfound.length > 0
+        ? Math.min(...unfound.map((c) => Math.hypot(c.x - player.x, player.y, c.z - player.z)))
+        : -1;
+      return {
+        time: round(time),
+        position: { x: round(player.x), y: round(player.y), z: round(player.z) },
+        rotation: { x: 0, y: round(player.yaw), z: 0 },
+        yaw: round(player.yaw),
+        forwardHit: castRay(f),
+        leftHit: castRay({ x: -f.z, z: f.x }),
+        rightHit: castRay({ x: f.z, z: -f.x }),
+        totalChests: chests.length,
+        chestsFound: chests.length - unfound.length,
+        nearestChestDistance: nearest === -1 ? -1 : round(nearest),
+        foundChestIds: chests.filter((c) => c.found).map((c) => c.id)
+      };
+    },
+
+    busy() {
+      return Boolean(active || pending);
+    }
+  };
+}
@@ -0,0 +1,79 @@
+// Drives a qa-bot server the way GeminiE2EClient does: /start, then one
+// /step per interval with the game's latest observation, then /report.
+// The game is any client with observe(), sendCommand(command) and
+// advance(seconds), e.g. lib/gridworld.mjs, plus an optional finished() for
+// clients that run out of observations, like createRecordedClient().
+
+async function postJson(baseUrl, route, body) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok && route !== "/step") {
+    throw new Error(`${route} failed (${res.status}): ${data.error || (data.errors || []).join("; ")}`);
+  }
+  return data;
+}
+
+// `start` is the /start body ({ testName }, { suiteName } or { replayRunId }).
+// `createClient` is called again for every session of a suite so each spec
+// starts in a fresh game. Returns the per-session reports and, for suites,
+// the suite summary.
+export async function runScenario(baseUrl, { start, createClient, stepIntervalSec = 0.5, maxSteps = 1000, onStep = null }) {
+  const started = await postJson(baseUrl, "/start", start);
+  let sessionId = started.sessionId;
+  const sessionIds = [sessionId];
+  let client = createClient();
+  let steps = 0;
+
+  while (steps < maxSteps && !client.finished?.()) {
+    const observation = client.observe();
+    const response = await postJson(baseUrl, "/step", { sessionId, observationJson: JSON.stringify(observation) });
+    steps += 1;
+    if (onStep) onStep({ sessionId, steps, observation, response });
+
+    // Suites hand over to the next spec's session when one finishes.
+    if (response.sessionId && response.sessionId !== sessionId) {
+      sessionId = response.sessionId;
+      sessionIds.push(sessionId);
+      client = createClient();
+      continue;
+    }
+    if (response.done) break;
+    client.sendCommand(response.command);
+    client.advance(stepIntervalSec);
+  }
+
+  const reports = [];
+  for (const id of sessionIds) {
+    reports.push(await postJson(baseUrl, "/report", { sessionId: id }));
+  }
+  let suite = null;
+  if (started.suiteId) {
+    const res = await fetch(`${baseUrl}/suite/${started.suiteId}/report?format=json`);
+    suite = await res.json();
+  }
+  return { started, steps, sessionIds, reports, suite };
+}
+
+// Plays back the observations of a recorded run (runs/<id>/steps.ndjson) in
+// order and ignores the commands it is sent, so a spec can be re-judged
+// against a game session that already happened.
+export function createRecordedClient(steps) {
+  const observations = steps.map((record) => record.observation).filter(Boolean);
+  let index = 0;
+  return {
+    observe() {
+      return observations[index];
+    },
+    sendCommand() {},
+    advance() {
+      index += 1;
+    },
+    finished() {
+      return index >= observations.length;
+    }
+  };
+}
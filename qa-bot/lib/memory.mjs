@@ -0,0 +1,173 @@
+// Exploration memory for the prompt: a visited-cell grid built from observed
+// positions, the outcome of recent commands, and cells where forward moves
+// were blocked (dead ends).
+
+const BLOCKED_MOVE_EPS = 0.05;
+
+export const memorySchema = {
+  type: "object",
+  properties: {
+    cellSize: { type: "number", min: 0.1 },
+    recentActions: { type: "number", integer: true, min: 0 },
+    mapRadius: { type: "number", integer: true, min: 1 },
+    maxPromptChars: { type: "number", integer: true, min: 500 }
+  }
+};
+
+export function resolveMemory(raw) {
+  return {
+    cellSize: Number.isFinite(raw?.cellSize) ? raw.cellSize : 1,
+    recentActions: Number.isFinite(raw?.recentActions) ? raw.recentActions : 10,
+    mapRadius: Number.isFinite(raw?.mapRadius) ? raw.mapRadius : 10,
+    maxPromptChars: Number.isFinite(raw?.maxPromptChars) ? raw.maxPromptChars : 8000
+  };
+}
+
+export function createExplorationMemory() {
+  return { cells: new Map(), deadEnds: new Map() };
+}
+
+export function cellOf(position, cellSize) {
+  return {
+    ix: Math.floor((position?.x ?? 0) / cellSize),
+    iz: Math.floor((position?.z ?? 0) / cellSize)
+  };
+}
+
+function cellKey(cell) {
+  return `${cell.ix},${cell.iz}`;
+}
+
+function yawDelta(a, b) {
+  return Math.abs((((a - b) % 360) + 540) % 360 - 180);
+}
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+// `clockSec` is the observation's game time, kept for coverage timing.
+export function recordVisit(memory, position, cellSize, step, clockSec = null) {
+  const cell = cellOf(position, cellSize);
+  const key = cellKey(cell);
+  const existing = memory.cells.get(key);
+  if (existing) {
+    existing.visits += 1;
+    existing.lastStep = step;
+  } else {
+    memory.cells.set(key, { ...cell, visits: 1, firstStep: step, lastStep: step, firstClockSec: clockSec });
+  }
+}
+
+// Annotates the previous history entry with what its command achieved, now
+// that the next observation is known, and remembers blocked forward moves.
+export function recordOutcome(memory, prev, current, cellSize) {
+  if (!prev?.commandIssued || !prev.position || !current?.position) return;
+  const dx = current.position.x - prev.position.x;
+  const dz = current.position.z - prev.position.z;
+  const moved = Math.sqrt(dx * dx + dz * dz);
+  prev.outcome = {
+    moved: round(moved),
+    turned: round(yawDelta(current.yaw, prev.yaw), 1),
+    chestsFound: current.chestsFound - prev.chestsFound
+  };
+
+  if (prev.commandIssued.startsWith("move_fwd") && moved < BLOCKED_MOVE_EPS) {
+    prev.outcome.blocked = true;
+    const cell = cellOf(prev.position, cellSize);
+    memory.deadEnds.set(cellKey(cell), { ...cell, yaw: round(prev.yaw, 1), step: prev.step });
+  }
+}
+
+export function recentActions(history, count) {
+  if (count <= 0) return [];
+  return history
+    .filter((entry) => entry.commandIssued)
+    .slice(-count)
+    .map((entry) => ({
+      step: entry.step,
+      command: entry.commandIssued,
+      outcome: entry.outcome || null
+    }));
+}
+
+export function deadEndList(memory, cellSize) {
+  return [...memory.deadEnds.values()].map((d) => ({
+    x: round(d.ix * cellSize + cellSize / 2),
+    z: round(d.iz * cellSize + cellSize / 2),
+    yaw: d.yaw,
+    step: d.step
+  }));
+}
+
+// Top-down map around the bot: north (+z) is up, east (+x) is right.
+// `@` bot, `#` visited, `X` blocked forward move, `.` not visited.
+export function renderVisitedMap(memory, position, cellSize, radius) {
+  if (memory.cells.size === 0) return "(no positions yet)";
+  const center = cellOf(position, cellSize);
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  for (const cell of memory.cells.values()) {
+    minX = Math.min(minX, cell.ix);
+    maxX = Math.max(maxX, cell.ix);
+    minZ = Math.min(minZ, cell.iz);
+    maxZ = Math.max(maxZ, cell.iz);
+  }
+  minX = Math.max(minX, center.ix - radius);
+  maxX = Math.min(maxX, center.ix + radius);
+  minZ = Math.max(minZ, center.iz - radius);
+  maxZ = Math.min(maxZ, center.iz + radius);
+  minX = Math.min(minX, center.ix);
+  maxX = Math.max(maxX, center.ix);
+  minZ = Math.min(minZ, center.iz);
+  maxZ = Math.max(maxZ, center.iz);
+
+  const rows = [];
+  for (let iz = maxZ; iz >= minZ; iz--) {
+    let row = "";
+    for (let ix = minX; ix <= maxX; ix++) {
+      const key = `${ix},${iz}`;
+      if (ix === center.ix && iz === center.iz) row += "@";
+      else if (memory.deadEnds.has(key)) row += "X";
+      else if (memory.cells.has(key)) row += "#";
+      else row += ".";
+    }
+    rows.push(row);
+  }
+  const header = `cell=${cellSize} x:[${round(minX * cellSize)}..${round((maxX + 1) * cellSize)}] ` +
+    `z:[${round(minZ * cellSize)}..${round((maxZ + 1) * cellSize)}] (top row = max z)`;
+  return `${header}\n${rows.join("\n")}`;
+}
+
+// Renders the memory variables, shrinking the map radius and action window
+// until `fits(vars)` accepts them (the caller checks the final prompt size).
+// When even a 1-cell map with no actions is too long, the blocks are left out.
+export function buildMemoryVars(session, memoryConfig, fits) {
+  const { cellSize } = memoryConfig;
+  const memory = session.exploration;
+  const deadEnds = deadEndList(memory, cellSize);
+  let radius = memoryConfig.mapRadius;
+  let actions = memoryConfig.recentActions;
+
+  for (;;) {
+    const vars = {
+      visitedMapAscii: renderVisitedMap(memory, session.lastPosition, cellSize, radius),
+      recentActionsJson: JSON.stringify(recentActions(session.history, actions)),
+      deadEndsJson: JSON.stringify(deadEnds.slice(-Math.max(actions, 1))),
+      visitedCellCount: memory.cells.size
+    };
+    if (fits(vars)) return vars;
+    if (radius <= 1 && actions <= 0) {
+      return {
+        visitedMapAscii: "(omitted: over memory.maxPromptChars)",
+        recentActionsJson: "[]",
+        deadEndsJson: "[]",
+        visitedCellCount: memory.cells.size
+      };
+    }
+    radius = Math.max(1, Math.floor(radius / 2));
+    actions = Math.floor(actions / 2);
+  }
+}
@@ -0,0 +1,255 @@
+import { sessionCoverage } from "./coverage.mjs";
+
+// Objective type registry. Each type supplies:
+//   observe(obj, ctx)  - optional, called on every step to accumulate state
+//   evaluate(obj, ctx) - true once the objective is satisfied
+//   target(obj)        - report text for the goal
+//   result(obj, ctx)   - report text for the current outcome
+//   fields / required  - spec schema for the type's own YAML fields
+// `ctx` carries { session, observation, position, state }, where `state` is a
+// per-objective object that lives on the session for the whole run.
+
+const DEFAULT_RADIUS = 1;
+
+const NUMBER = { type: "number" };
+const POINT = {
+  type: "object",
+  properties: { x: NUMBER, y: NUMBER, z: NUMBER },
+  required: ["x", "z"]
+};
+
+function toNumber(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function formatPoint(p) {
+  if (!p) return "n/a";
+  const parts = [p.x, p.y, p.z].filter((v) => Number.isFinite(v)).map((v) => Number(v.toFixed(2)));
+  return `(${parts.join(", ")})`;
+}
+
+// Horizontal distance unless the target pins a height as well.
+function distanceTo(position, target) {
+  if (!position || !target) return Infinity;
+  const dx = (position.x ?? 0) - (target.x ?? 0);
+  const dz = (position.z ?? 0) - (target.z ?? 0);
+  const dy = Number.isFinite(target.y) ? (position.y ?? 0) - target.y : 0;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+const chestCountAtLeast = {
+  fields: { minimum: { type: "number", integer: true, min: 0 } },
+  evaluate(obj, { session }) {
+    return session.chestsFound >= toNumber(obj.minimum, 1);
+  },
+  target(obj) {
+    return `>= ${toNumber(obj.minimum, 1)}`;
+  },
+  result(obj, { session }) {
+    return `${session.chestsFound}/${session.totalChests}`;
+  }
+};
+
+const reachPosition = {
+  fields: { position: POINT, radius: { type: "number", min: 0 } },
+  required: ["position"],
+  observe(obj, { position, state }) {
+    const dist = distanceTo(position, obj.position);
+    state.minDistance = Math.min(state.minDistance ?? Infinity, dist);
+  },
+  evaluate(obj, { position }) {
+    return distanceTo(position, obj.position) <= toNumber(obj.radius, DEFAULT_RADIUS);
+  },
+  target(obj) {
+    return `${formatPoint(obj.position)} within ${toNumber(obj.radius, DEFAULT_RADIUS)}`;
+  },
+  result(obj, { state }) {
+    return Number.isFinite(state.minDistance) ? `closest ${state.minDistance.toFixed(2)}` : "n/a";
+  }
+};
+
+const visitWaypoints = {
+  fields: {
+    waypoints: { type: "array", items: POINT },
+    radius: { type: "number", min: 0 },
+    ordered: { type: "boolean" }
+  },
+  required: ["waypoints"],
+  observe(obj, { position, state }) {
+    const waypoints = Array.isArray(obj.waypoints) ? obj.waypoints : [];
+    const radius = toNumber(obj.radius, DEFAULT_RADIUS);
+    state.visited = state.visited || waypoints.map(() => false);
+
+    if (obj.ordered) {
+      const next = state.visited.indexOf(false);
+      if (next >= 0 && distanceTo(position, waypoints[next]) <= radius) {
+        state.visited[next] = true;
+      }
+      return;
+    }
+    waypoints.forEach((wp, i) => {
+      if (!state.visited[i] && distanceTo(position, wp) <= radius) {
+        state.visited[i] = true;
+      }
+    });
+  },
+  evaluate(obj, { state }) {
+    const total = Array.isArray(obj.waypoints) ? obj.waypoints.length : 0;
+    return total > 0 && (state.visited || []).filter(Boolean).length >= total;
+  },
+  target(obj) {
+    const total = Array.isArray(obj.waypoints) ? obj.waypoints.length : 0;
+    return `${total} waypoint(s)${obj.ordered ? " in order" : ""}`;
+  },
+  result(obj, { state }) {
+    const total = Array.isArray(obj.waypoints) ? obj.waypoints.length : 0;
+    return `${(state.visited || []).filter(Boolean).length}/${total}`;
+  }
+};
+
+const surviveSteps = {
+  fields: { steps: { type: "number", integer: true, min: 1 } },
+  required: ["steps"],
+  evaluate(obj, { session }) {
+    return session.stepsTaken >= toNumber(obj.steps, 1);
+  },
+  target(obj) {
+    return `${toNumber(obj.steps, 1)} steps`;
+  },
+  result(obj, { session }) {
+    return `${session.stepsTaken}/${toNumber(obj.steps, 1)}`;
+  }
+};
+
+const chestFoundById = {
+  fields: { chestId: { type: "string" } },
+  required: ["chestId"],
+  observe(obj, { observation, state }) {
+    const ids = Array.isArray(observation?.foundChestIds) ? observation.foundChestIds : [];
+    if (ids.includes(obj.chestId)) state.found = true;
+  },
+  evaluate(obj, { state }) {
+    return Boolean(state.found);
+  },
+  target(obj) {
+    return `chest ${obj.chestId ?? "n/a"}`;
+  },
+  result(obj, { state }) {
+    return state.found ? "found" : "not found";
+  }
+};
+
+// `cells` (distinct grid cells) takes precedence over `percent` of the
+// coverage area; see lib/coverage.mjs.
+const coverageAtLeast = {
+  fields: {
+    percent: { type: "number", min: 0, max: 100 },
+    cells: { type: "number", integer: true, min: 1 }
+  },
+  evaluate(obj, { session }) {
+    const stats = sessionCoverage(session);
+    return Number.isFinite(obj.cells)
+      ? stats.cellsVisited >= obj.cells
+      : stats.percent >= toNumber(obj.percent, 50);
+  },
+  target(obj) {
+    return Number.isFinite(obj.cells) ? `>= ${obj.cells} cells` : `>= ${toNumber(obj.percent, 50)}% of area`;
+  },
+  result(obj, { session }) {
+    const stats = sessionCoverage(session);
+    return Number.isFinite(obj.cells) ? `${stats.cellsVisited} cells` : `${stats.percent}%`;
+  }
+};
+
+function composite(name, combine) {
+  return {
+    fields: { objectives: { type: "array", items: () => objectiveSchema() } },
+    required: ["objectives"],
+    observe(obj, ctx) {
+      childrenOf(obj).forEach((child, i) => observeObjective(child, childCtx(ctx, i)));
+    },
+    evaluate(obj, ctx) {
+      const results = childrenOf(obj).map((child, i) => isObjectiveMet(child, childCtx(ctx, i)));
+      return results.length > 0 && combine(results);
+    },
+    target(obj) {
+      return `${name} ${childrenOf(obj).length}`;
+    },
+    result(obj, ctx) {
+      const children = childrenOf(obj);
+      const met = children.filter((child, i) => isObjectiveMet(child, childCtx(ctx, i))).length;
+      return `${met}/${children.length} met`;
+    }
+  };
+}
+
+function childrenOf(obj) {
+  return Array.isArray(obj.objectives) ? obj.objectives : [];
+}
+
+function childCtx(ctx, index) {
+  ctx.state.children = ctx.state.children || [];
+  ctx.state.children[index] = ctx.state.children[index] || {};
+  return { ...ctx, state: ctx.state.children[index] };
+}
+
+const OBJECTIVE_TYPES = {
+  chest_count_at_least: chestCountAtLeast,
+  reach_position: reachPosition,
+  visit_waypoints: visitWaypoints,
+  survive_steps: surviveSteps,
+  chest_found_by_id: chestFoundById,
+  coverage_at_least: coverageAtLeast,
+  all_of: composite("all of", (results) => results.every(Boolean)),
+  any_of: composite("any of", (results) => results.some(Boolean))
+};
+
+export const OBJECTIVE_TYPE_NAMES = Object.keys(OBJECTIVE_TYPES);
+
+export function objectiveSchema() {
+  const variants = {};
+  for (const [name, handler] of Object.entries(OBJECTIVE_TYPES)) {
+    variants[name] = { properties: handler.fields || {}, required: handler.required };
+  }
+  return {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      type: { type: "string" },
+      timeLimitSec: { type: "number", min: 0 },
+      maxAttempts: { type: "number", integer: true, min: 1 }
+    },
+    discriminator: "type",
+    variants
+  };
+}
+
+export function getObjectiveType(type) {
+  return OBJECTIVE_TYPES[type] || null;
+}
+
+export function objectiveKey(obj, index) {
+  return obj?.id || `objective_${index + 1}`;
+}
+
+export function observeObjective(obj, ctx) {
+  const handler = getObjectiveType(obj?.type);
+  if (handler?.observe) handler.observe(obj, ctx);
+}
+
+export function isObjectiveMet(obj, ctx) {
+  const handler = getObjectiveType(obj?.type);
+  return handler ? Boolean(handler.evaluate(obj, ctx)) : false;
+}
+
+export function describeObjective(obj, ctx) {
+  const handler = getObjectiveType(obj?.type);
+  if (!handler) {
+    return { target: "(custom)", result: "n/a", met: null };
+  }
+  return {
+    target: handler.target(obj),
+    result: handler.result(obj, ctx),
+    met: Boolean(handler.evaluate(obj, ctx))
+  };
+}
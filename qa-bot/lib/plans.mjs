@@ -0,0 +1,116 @@
+import { validateCommand } from "./commands.mjs";
+
+// A model reply may carry a short plan of follow-up commands. The server
+// queues it per session and hands out one command per /step without another
+// model call, dropping the rest as soon as progress changes.
+
+const NEARBY_CHEST_DISTANCE = 3;
+const BLOCKED_DISTANCE = 1;
+
+// Conditions the model may attach to a plan via `abortIf`.
+const ABORT_CONDITIONS = {
+  blocked_ahead: (obs) => Number.isFinite(obs?.forwardHit) && obs.forwardHit >= 0 && obs.forwardHit < BLOCKED_DISTANCE,
+  chest_nearby: (obs) => Number.isFinite(obs?.nearestChestDistance)
+    && obs.nearestChestDistance >= 0
+    && obs.nearestChestDistance <= NEARBY_CHEST_DISTANCE
+};
+
+export const PLAN_ABORT_CONDITIONS = Object.keys(ABORT_CONDITIONS);
+
+export const planningSchema = {
+  type: "object",
+  properties: {
+    enabled: { type: "boolean" },
+    maxLength: { type: "number", integer: true, min: 1, max: 20 }
+  }
+};
+
+export function resolvePlanning(raw) {
+  return {
+    enabled: Boolean(raw?.enabled),
+    maxLength: Number.isFinite(raw?.maxLength) ? raw.maxLength : 5
+  };
+}
+
+export function planInstructions(planning) {
+  return [
+    `You may also return "plan": up to ${planning.maxLength - 1} follow-up commands to run after "command",`,
+    "without being asked again. Keep plans short. The plan is dropped automatically when a chest is found",
+    `or the bot stops moving. Optionally set "abortIf" to one of: ${PLAN_ABORT_CONDITIONS.join(", ")}.`
+  ].join("\n");
+}
+
+export function createPlanStats() {
+  return { plans: 0, planned: 0, executed: 0, aborted: {} };
+}
+
+export function startPlan(session, decision, planning) {
+  const commands = Array.isArray(decision.plan)
+    ? decision.plan.filter((c) => typeof c === "string" && c.trim()).slice(0, planning.maxLength - 1)
+    : [];
+  if (commands.length === 0) {
+    session.plan = null;
+    return;
+  }
+  session.plan = {
+    commands,
+    index: 0,
+    note: decision.note || "",
+    abortIf: PLAN_ABORT_CONDITIONS.includes(decision.abortIf) ? decision.abortIf : null,
+    chestsAtStart: session.chestsFound,
+    startedAtStep: session.stepsTaken
+  };
+  session.planStats.plans += 1;
+  session.planStats.planned += commands.length;
+}
+
+function abortReason(session) {
+  const plan = session.plan;
+  if (session.chestsFound > plan.chestsAtStart) return "chest_found";
+  if (session.idleSteps > 0) return "idle";
+  if (plan.abortIf && ABORT_CONDITIONS[plan.abortIf](session.lastObservation)) return plan.abortIf;
+  return null;
+}
+
+export function dropPlan(session, reason) {
+  if (!session.plan) return;
+  const remaining = session.plan.commands.length - session.plan.index;
+  if (remaining > 0) {
+    session.planStats.aborted[reason] = (session.planStats.aborted[reason] || 0) + 1;
+  }
+  session.plan = null;
+}
+
+// Returns the next queued command as a decision, or null when the model
+// should be asked (no plan, plan finished, aborted, or invalid command).
+export function nextPlanCommand(session, rules) {
+  const plan = session.plan;
+  if (!plan) return null;
+  if (plan.index >= plan.commands.length) {
+    session.plan = null;
+    return null;
+  }
+
+  const reason = abortReason(session);
+  if (reason) {
+    dropPlan(session, reason);
+    return null;
+  }
+
+  const raw = plan.commands[plan.index];
+  const check = validateCommand(raw, rules);
+  if (!check.ok) {
+    dropPlan(session, "invalid_command");
+    return { invalid: { raw, error: check.error } };
+  }
+
+  plan.index += 1;
+  session.planStats.executed += 1;
+  if (plan.index >= plan.commands.length) session.plan = null;
+  return {
+    command: check.command,
+    note: `plan ${plan.index}/${plan.commands.length}${plan.note ? `: ${plan.note}` : ""}`,
+    fromPlan: true,
+    validation: { raw, clamped: check.clamped || undefined }
+  };
+}
@@ -0,0 +1,260 @@
+import fs from "fs";
+import path from "path";
+import { inlineImagePart } from "./vision.mjs";
+
+const DEFAULT_POLICY = "gemini";
+
+const STEP_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    command: { type: "string" },
+    note: { type: "string" }
+  },
+  required: ["command", "note"]
+};
+
+const PLAN_RESPONSE_SCHEMA = {
+  ...STEP_RESPONSE_SCHEMA,
+  properties: {
+    ...STEP_RESPONSE_SCHEMA.properties,
+    plan: { type: "array", items: { type: "string" } },
+    abortIf: { type: "string" }
+  }
+};
+
+function safeJsonParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Small seeded PRNG (mulberry32) so heuristic runs are repeatable in CI.
+export function createRng(seed) {
+  let a = (Number.isFinite(seed) ? seed : Date.now()) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomInt(rng, min, max) {
+  return Math.floor(min + rng() * (max - min + 1));
+}
+
+// Ray distances from PlayerE2EDriver are -1 when nothing was hit within range.
+function clearance(hit) {
+  return Number.isFinite(hit) && hit >= 0 ? hit : Infinity;
+}
+
+function createGeminiPolicy(config, deps) {
+  const model = config.model || deps.model;
+  return {
+    name: "gemini",
+    // The server may ask again with an error hint when the reply is not a valid command.
+    retryable: true,
+    async decide({ prompt, allowPlan, image }) {
+      const parts = [{ text: prompt }];
+      if (image) parts.push(inlineImagePart(image));
+      // Throws a GeminiCallError once the client has given up retrying.
+      const response = await deps.gemini.generateContent({
+        model,
+        contents: [{ role: "user", parts }],
+        config: {
+          responseMimeType: "application/json",
+          responseSchema: allowPlan ? PLAN_RESPONSE_SCHEMA : STEP_RESPONSE_SCHEMA
+        }
+      });
+
+      const raw = response.text;
+      const call = {
+        model,
+        attempts: response.attempts,
+        cached: response.cached,
+        waitedMs: response.waitedMs,
+        usageMetadata: response.usageMetadata
+      };
+      const parsed = safeJsonParse(raw);
+      if (!parsed || typeof parsed.command !== "string") {
+        return { command: null, note: "invalid model response", raw, call };
+      }
+      return { ...parsed, raw, call };
+    }
+  };
+}
+
+function createScriptedPolicy(config) {
+  const commands = Array.isArray(config.commands) ? config.commands.map(String) : [];
+  const loop = Boolean(config.loop);
+  let index = 0;
+  return {
+    name: "scripted",
+    async decide() {
+      if (index >= commands.length) {
+        if (!loop || commands.length === 0) {
+          return { command: "", note: "script exhausted" };
+        }
+        index = 0;
+      }
+      const command = commands[index];
+      index += 1;
+      return { command, note: `scripted ${index}/${commands.length}` };
+    }
+  };
+}
+
+function createRandomWalkPolicy(config) {
+  const rng = createRng(config.seed);
+  const minClearance = Number.isFinite(config.minClearance) ? config.minClearance : 1.5;
+  const moveSec = Number.isFinite(config.moveSec) ? config.moveSec : 0.5;
+  const turnChance = Number.isFinite(config.turnChance) ? config.turnChance : 0.2;
+  return {
+    name: "random_walk",
+    async decide({ observation }) {
+      const blocked = clearance(observation?.forwardHit) < minClearance;
+      if (blocked || rng() < turnChance) {
+        const dir = rng() < 0.5 ? "turn_left" : "turn_right";
+        const deg = randomInt(rng, 30, 150);
+        return { command: `${dir}:${deg}`, note: blocked ? "blocked ahead; random turn" : "random turn" };
+      }
+      return { command: `move_fwd:${moveSec}`, note: "path clear" };
+    }
+  };
+}
+
+// Keeps a wall on one side (right by default): turns into openings on that
+// side once the wall ends, and away from walls ahead.
+function createWallFollowPolicy(config) {
+  const side = config.side === "left" ? "left" : "right";
+  const other = side === "left" ? "right" : "left";
+  const minClearance = Number.isFinite(config.minClearance) ? config.minClearance : 1.5;
+  const moveSec = Number.isFinite(config.moveSec) ? config.moveSec : 0.5;
+  let hadWall = false;
+  return {
+    name: "wall_follow",
+    async decide({ observation }) {
+      const front = clearance(observation?.forwardHit);
+      const wallSide = clearance(observation?.[`${side}Hit`]);
+      const otherSide = clearance(observation?.[`${other}Hit`]);
+
+      if (hadWall && wallSide > minClearance * 2) {
+        hadWall = false;
+        return { command: `turn_${side}:90`, note: `opening on the ${side}` };
+      }
+      if (front < minClearance) {
+        hadWall = true;
+        if (otherSide >= minClearance) {
+          return { command: `turn_${other}:90`, note: "wall ahead" };
+        }
+        return { command: `turn_${other}:180`, note: "dead end" };
+      }
+      hadWall = wallSide <= minClearance * 2;
+      return { command: `move_fwd:${moveSec}`, note: `following ${side} wall` };
+    }
+  };
+}
+
+function loadReplayCommands(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  const trimmed = raw.trim();
+  const entries = trimmed.startsWith("[")
+    ? JSON.parse(trimmed)
+    : trimmed.split(/\r?\n/).filter(Boolean).map((line) => JSON.parse(line));
+
+  return entries
+    .map((entry) => {
+      if (typeof entry === "string") return entry;
+      return entry?.command ?? entry?.commandIssued ?? null;
+    })
+    .filter((command) => typeof command === "string" && command);
+}
+
+function createReplayPolicy(config, deps) {
+  let commands = Array.isArray(config.commands) ? config.commands.map(String) : null;
+  if (!commands) {
+    if (!config.file) {
+      throw new Error("replay policy requires `file` or `commands`");
+    }
+    const filePath = path.resolve(deps.baseDir || process.cwd(), config.file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Replay file not found: ${filePath}`);
+    }
+    commands = loadReplayCommands(filePath);
+  }
+  const scripted = createScriptedPolicy({ commands, loop: false });
+  return {
+    name: "replay",
+    async decide(ctx) {
+      const result = await scripted.decide(ctx);
+      return { ...result, note: result.command ? result.note.replace("scripted", "replay") : "replay finished" };
+    }
+  };
+}
+
+const NUMBER = { type: "number" };
+const COMMAND_LIST = { type: "array", items: { type: "string" } };
+
+const POLICY_OPTIONS = {
+  gemini: { model: { type: "string" } },
+  scripted: { commands: COMMAND_LIST, loop: { type: "boolean" } },
+  random_walk: {
+    seed: { type: "number", integer: true },
+    minClearance: NUMBER,
+    moveSec: NUMBER,
+    turnChance: { type: "number", min: 0, max: 1 }
+  },
+  wall_follow: {
+    side: { type: "string", enum: ["left", "right"] },
+    minClearance: NUMBER,
+    moveSec: NUMBER
+  },
+  replay: { file: { type: "string" }, commands: COMMAND_LIST }
+};
+
+const POLICY_FACTORIES = {
+  gemini: createGeminiPolicy,
+  scripted: createScriptedPolicy,
+  random_walk: createRandomWalkPolicy,
+  wall_follow: createWallFollowPolicy,
+  replay: createReplayPolicy
+};
+
+export const POLICY_TYPES = Object.keys(POLICY_FACTORIES);
+
+export const policySchema = {
+  type: "object",
+  properties: { type: { type: "string" } },
+  discriminator: "type",
+  defaultVariant: DEFAULT_POLICY,
+  variants: Object.fromEntries(
+    Object.entries(POLICY_OPTIONS).map(([name, properties]) => [name, { properties }])
+  )
+};
+
+// `policy:` in a spec may be a bare type name or an object with `type` and
+// policy-specific options. QA_POLICY overrides the type for the whole server.
+export function resolvePolicyConfig(raw, envType = process.env.QA_POLICY) {
+  let config;
+  if (typeof raw === "string") {
+    config = { type: raw };
+  } else if (raw && typeof raw === "object") {
+    config = { ...raw };
+  } else {
+    config = {};
+  }
+  if (envType) config.type = envType;
+  if (!config.type) config.type = DEFAULT_POLICY;
+  return config;
+}
+
+export function createPolicy(config, deps = {}) {
+  const factory = POLICY_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown policy type: ${config.type} (expected one of ${POLICY_TYPES.join(", ")})`);
+  }
+  return factory(config, deps);
+}
@@ -0,0 +1,132 @@
+import { readRun } from "./runs.mjs";
+
+// Replays a recorded run: /step returns the recorded command for each step
+// and compares the incoming observation with the one recorded at that step.
+
+function yawDelta(a, b) {
+  return Math.abs((((a - b) % 360) + 540) % 360 - 180);
+}
+
+function positionDelta(a, b) {
+  const dx = (a?.x ?? 0) - (b?.x ?? 0);
+  const dy = (a?.y ?? 0) - (b?.y ?? 0);
+  const dz = (a?.z ?? 0) - (b?.z ?? 0);
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(3)) : null;
+}
+
+export function loadRecordedRun(runsDir, runId) {
+  const run = readRun(runsDir, runId);
+  if (!run) {
+    throw new Error(`Recorded run not found: ${runId}`);
+  }
+  if (!run.spec) {
+    throw new Error(`Recorded run ${runId} has no spec.json`);
+  }
+  const steps = [...run.steps].sort((a, b) => a.step - b.step);
+  if (steps.length === 0) {
+    throw new Error(`Recorded run ${runId} has no steps`);
+  }
+  return { runId, spec: run.spec, steps };
+}
+
+// Commands aligned with step numbers, so step N replays what the recorded
+// run answered at step N (empty once the recorded run was done).
+export function replayCommands(recorded) {
+  const last = recorded.steps[recorded.steps.length - 1].step;
+  const commands = Array.from({ length: last }, () => "");
+  for (const record of recorded.steps) {
+    if (record.step >= 1 && !record.done) commands[record.step - 1] = record.command || "";
+  }
+  return commands;
+}
+
+export function createReplayState(recorded, tolerance = {}) {
+  return {
+    runId: recorded.runId,
+    stepsByNumber: new Map(recorded.steps.map((record) => [record.step, record])),
+    recordedSteps: recorded.steps.length,
+    positionTolerance: Number.isFinite(tolerance.position) ? tolerance.position : 0.5,
+    yawTolerance: Number.isFinite(tolerance.yaw) ? tolerance.yaw : 5,
+    compared: 0,
+    divergences: []
+  };
+}
+
+export function compareReplayObservation(state, step, observation) {
+  const record = state.stepsByNumber.get(step);
+  if (!record) {
+    if (step === state.recordedSteps + 1) {
+      state.divergences.push({ step, kind: "extra_step", detail: "recorded run had ended by this step" });
+    }
+    return null;
+  }
+
+  state.compared += 1;
+  const expected = record.observation || {};
+  const posDelta = expected.position && observation?.position
+    ? positionDelta(observation.position, expected.position)
+    : null;
+  const yawDiff = Number.isFinite(expected.yaw) && Number.isFinite(observation?.yaw)
+    ? yawDelta(observation.yaw, expected.yaw)
+    : null;
+
+  const positionOff = posDelta !== null && posDelta > state.positionTolerance;
+  const yawOff = yawDiff !== null && yawDiff > state.yawTolerance;
+  if (!positionOff && !yawOff) return null;
+
+  const divergence = {
+    step,
+    kind: positionOff && yawOff ? "position_yaw" : (positionOff ? "position" : "yaw"),
+    expectedPosition: expected.position || null,
+    actualPosition: observation?.position || null,
+    positionDelta: round(posDelta),
+    expectedYaw: Number.isFinite(expected.yaw) ? expected.yaw : null,
+    actualYaw: Number.isFinite(observation?.yaw) ? observation.yaw : null,
+    yawDelta: round(yawDiff)
+  };
+  state.divergences.push(divergence);
+  return divergence;
+}
+
+export function summarizeReplay(state) {
+  const first = state.divergences[0] || null;
+  return {
+    recordedRunId: state.runId,
+    positionTolerance: state.positionTolerance,
+    yawTolerance: state.yawTolerance,
+    stepsCompared: state.compared,
+    recordedSteps: state.recordedSteps,
+    matched: state.divergences.length === 0,
+    firstDivergenceStep: first ? first.step : null,
+    divergences: state.divergences
+  };
+}
+
+function formatPos(p) {
+  if (!p) return "n/a";
+  return `(${[p.x, p.y, p.z].map((v) => (Number.isFinite(v) ? Number(v.toFixed(2)) : "?")).join(", ")})`;
+}
+
+// `summary` is a summarizeReplay() result.
+export function buildReplayReportSection(summary, maxRows = 10) {
+  const rows = summary.divergences.slice(0, maxRows).map((d) => {
+    if (d.kind === "extra_step") return `| ${d.step} | ${d.kind} | - | - | - |`;
+    return `| ${d.step} | ${d.kind} | ${formatPos(d.expectedPosition)} / ${formatPos(d.actualPosition)} | ` +
+      `${d.positionDelta ?? "n/a"} | ${d.yawDelta ?? "n/a"} |`;
+  });
+
+  return `## Replay\n` +
+    `- Recorded run: ${summary.recordedRunId}\n` +
+    `- Result: ${summary.matched ? "MATCH" : `DIVERGED at step ${summary.firstDivergenceStep}`}\n` +
+    `- Steps compared: ${summary.stepsCompared} / ${summary.recordedSteps}\n` +
+    `- Tolerance: position ${summary.positionTolerance}, yaw ${summary.yawTolerance}\n` +
+    (rows.length > 0
+      ? `\n| Step | Kind | Expected / actual position | Position delta | Yaw delta |\n| --- | --- | --- | --- | --- |\n${rows.join("\n")}\n` +
+        (summary.divergences.length > maxRows ? `\n- ... ${summary.divergences.length - maxRows} more\n` : "")
+      : "") +
+    `\n`;
+}
@@ -0,0 +1,280 @@
+import { buildBaselineReportSection } from "./baselines.mjs";
+import { buildControlReportSection } from "./control.mjs";
+import { buildCoverageReportSection } from "./coverage.mjs";
+import { buildFindingsReportSection } from "./findings.mjs";
+import { buildReplayReportSection } from "./replay.mjs";
+import { buildStuckReportSection } from "./stuck.mjs";
+import { buildTriageReportSection } from "./triage.mjs";
+import { buildUsageReportSection } from "./usage.mjs";
+import { buildFramesReportSection } from "./vision.mjs";
+
+// Renders the structured run report that server.mjs builds (buildReport) as
+// Markdown, JSON or a single-file HTML page. The report object is plain
+// data throughout; detail sections owned by other lib modules (coverage,
+// stuck, findings, ...) are rendered here from their summaries by those
+// modules' build*ReportSection() helpers.
+
+export const REPORT_FORMATS = ["md", "json", "html"];
+
+export const REPORT_CONTENT_TYPES = {
+  md: "text/markdown; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  html: "text/html; charset=utf-8"
+};
+
+const ACCEPT_TYPES = { md: "text/markdown", json: "application/json", html: "text/html" };
+
+// `?format=` wins over the Accept header; `preferred` lists formats in the
+// order to offer them, so a client accepting anything gets the first.
+export function pickReportFormat(req, preferred = REPORT_FORMATS) {
+  const requested = req.query?.format || req.body?.format;
+  if (requested) return REPORT_FORMATS.includes(requested) ? requested : null;
+  const type = req.accepts(preferred.map((format) => ACCEPT_TYPES[format]));
+  return preferred.find((format) => ACCEPT_TYPES[format] === type) || preferred[0];
+}
+
+export function formatDurationMs(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return "n/a";
+  const totalSec = Math.round(ms / 1000);
+  const mins = Math.floor(totalSec / 60);
+  const secs = totalSec % 60;
+  if (mins <= 0) return `${secs}s`;
+  return `${mins}m ${secs}s`;
+}
+
+export function formatCounts(counts) {
+  return Object.keys(counts).length > 0
+    ? Object.entries(counts).map(([reason, count]) => `${reason} x${count}`).join(", ")
+    : "none";
+}
+
+const orNa = (value) => (value === null || value === undefined ? "n/a" : value);
+const fixed = (value, digits) => (Number.isFinite(value) ? value.toFixed(digits) : "n/a");
+const formatPosition = (p) => (p ? `(${p.x}, ${p.y}, ${p.z})` : "n/a");
+const cell = (value) => String(orNa(value)).replace(/\|/g, "\\|");
+
+function markdownTable(header, rows) {
+  return `| ${header.join(" | ")} |\n| ${header.map(() => "---").join(" | ")} |\n` +
+    rows.map((row) => `| ${row.map(cell).join(" | ")} |\n`).join("");
+}
+
+const bulletList = (items) => (items.length > 0 ? items.map((item) => `- ${item}\n`).join("") : "- (none)\n");
+
+export function renderReportMarkdown(report) {
+  const { metadata: meta, metrics, commands } = report;
+  const validation = commands.validation;
+  const decisions = metrics.decisions;
+  const model = metrics.modelCalls;
+  const run = { runId: meta.runId, test: meta.test, policy: meta.policy };
+
+  return `# QA Report\n\n` +
+    `Status: ${report.status}\n\n` +
+    buildTriageReportSection(report.triage, run) +
+    `## Run Metadata\n` +
+    `- Test: ${meta.test || "(none)"}\n` +
+    `- Description: ${meta.description}\n` +
+    `- Policy: ${orNa(meta.policy)}\n` +
+    `- Started: ${orNa(meta.startedAt)}\n` +
+    `- Reported: ${meta.reportedAt}\n` +
+    `- Duration: ${formatDurationMs(meta.durationSec * 1000)}\n` +
+    `- Game time: ${formatDurationMs(meta.gameTimeSec * 1000)}\n` +
+    `- History entries: ${meta.historyEntries}\n\n` +
+    `## Objectives\n` +
+    (report.objectives.length > 0
+      ? `${markdownTable(["Objective", "Target", "Result", "Elapsed", "Status"], report.objectives.map((o) =>
+        [o.id, o.target, o.result, Number.isFinite(o.elapsedSec) ? `${o.elapsedSec}s` : "n/a", o.status]))}\n`
+      : `- (none)\n\n`) +
+    `## Objective Attempts\n` +
+    `- Attempts: ${report.attempts.used} / ${orNa(report.attempts.max)}\n` +
+    bulletList(report.attempts.results.map((r, idx) =>
+      `${idx + 1}. ${r.id} (${r.type}) => ${r.status} in ${r.elapsedSec !== null ? `${r.elapsedSec}s` : "n/a"}`)) +
+    `\n` +
+    `## Constraints\n` +
+    markdownTable(["Constraint", "Limit", "Actual", "Status"], report.constraints.map((c) =>
+      [c.constraint, c.limit, c.actual, c.status])) +
+    `\n` +
+    `## Progress\n` +
+    `- Steps used: ${metrics.steps.taken} / ${orNa(metrics.steps.max)} (${fixed(metrics.steps.percent, 1)}%)\n` +
+    `- Idle steps: ${metrics.idle.steps} / ${orNa(metrics.idle.max)} (${fixed(metrics.idle.percent, 1)}%)\n` +
+    `- Chest progress: ${metrics.chests.found} / ${metrics.chests.total} (${fixed(metrics.chests.percent, 1)}%)\n\n` +
+    `## Key Metrics\n` +
+    `- Steps taken: ${metrics.steps.taken}\n` +
+    `- Idle steps: ${metrics.idle.steps}\n` +
+    `- Chests found: ${metrics.chests.found} / ${metrics.chests.total}\n` +
+    `- Steps per chest: ${fixed(metrics.stepsPerChest, 2)}\n\n` +
+    buildCoverageReportSection(metrics.coverage) +
+    `## Last Observation\n` +
+    `- Position: ${formatPosition(metrics.lastPosition)}\n` +
+    `- Yaw: ${orNa(metrics.lastYaw)}\n\n` +
+    `## Command Summary\n` +
+    (Object.keys(commands.counts).length > 0
+      ? `${markdownTable(["Command", "Count"], Object.keys(commands.counts).sort().map((k) => [k, commands.counts[k]]))}\n`
+      : `- (none)\n\n`) +
+    `## Command Validation\n` +
+    `- Allowed: ${commands.allowed}\n` +
+    `- Valid commands: ${validation.valid}\n` +
+    `- Invalid replies: ${validation.invalid}\n` +
+    `- Corrected: ${validation.clamped + validation.recovered} (clamped ${validation.clamped}, fixed on retry ${validation.recovered} of ${validation.retried})\n` +
+    `- Fallback commands: ${validation.fallback} (${formatCounts(validation.fallbackReasons)})\n` +
+    (commands.invalid.length > 0
+      ? `${commands.invalid.map((e) => `- Step ${e.step}: ${JSON.stringify(e.raw ?? null)} => ${e.error}`).join("\n")}\n\n`
+      : `\n`) +
+    `## Decision Efficiency\n` +
+    `- Policy: ${orNa(meta.policy)}\n` +
+    `- Policy calls: ${decisions.policyCalls}\n` +
+    `- Steps taken: ${metrics.steps.taken}\n` +
+    `- Steps per call: ${fixed(decisions.stepsPerCall, 2)}\n` +
+    `- Plans: ${decisions.plans.plans} (commands planned ${decisions.plans.planned}, executed ${decisions.plans.executed})\n` +
+    `- Plans dropped early: ${formatCounts(decisions.plans.aborted)}\n\n` +
+    (model.requests > 0
+      ? `## Model Calls\n` +
+        `- Requests: ${model.requests} (cache hits ${model.cached})\n` +
+        `- Attempts: ${model.attempts} (retries ${model.retries})\n` +
+        `- Failed after retries: ${formatCounts(model.errors)}\n` +
+        `- Waited for rate limit and backoff: ${formatDurationMs(model.waitedMs)}\n\n`
+      : "") +
+    buildUsageReportSection(metrics.usage) +
+    buildStuckReportSection(report.stuckEpisodes) +
+    buildControlReportSection(report.control) +
+    `## Recent Commands (last 10)\n` +
+    bulletList(commands.recent.map((c) =>
+      `${c.step}. ${c.time || "n/a"} => ${c.command}${c.overridden ? " (manual override)" : ""}`)) +
+    `\n` +
+    (report.replay ? buildReplayReportSection(report.replay) : "") +
+    buildFindingsReportSection(report.findings) +
+    buildFramesReportSection(report.frames, meta.runId) +
+    buildBaselineReportSection(report.baseline, report.trend) +
+    `## Issues\n` +
+    (report.issues.length > 0 ? bulletList(report.issues.map((i) => i.message)) : `- No blocking issues detected.\n`) +
+    `\n` +
+    `## Recommendations\n` +
+    report.recommendations.map((r) => `- ${r}`).join("\n") +
+    `\n`;
+}
+
+export function renderReportJson(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Links become <a> only for http(s) and relative targets; anything else
+// (javascript:, data:, ...) stays as text. Model-written triage text ends up
+// here too.
+function safeHref(href) {
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(href.replace(/&amp;/g, "&").replace(/[\s\u0000-\u001f]/g, ""));
+  return !scheme || /^https?$/i.test(scheme[1]);
+}
+
+function inlineMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, "<code>$1</code>")
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => (safeHref(href) ? `<a href="${href}">${label}</a>` : match));
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\||\|$/g, "").split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, "|"));
+}
+
+// Enough Markdown for the report's own sections: headings, bullets, tables,
+// code fences and inline code/links.
+function markdownToHtml(markdown) {
+  const lines = markdown.replace(/\r/g, "").split("\n");
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith("```")) {
+      const code = [];
+      while (++i < lines.length && !lines[i].startsWith("```")) code.push(lines[i]);
+      out.push(`<pre>${escapeHtml(code.join("\n"))}</pre>`);
+    } else if (/^#{1,4} /.test(line)) {
+      const level = line.indexOf(" ");
+      out.push(`<h${level}>${inlineMarkdown(line.slice(line.indexOf(" ") + 1))}</h${level}>`);
+    } else if (line.startsWith("|")) {
+      const rows = [];
+      for (; i < lines.length && lines[i].startsWith("|"); i++) rows.push(lines[i]);
+      i -= 1;
+      const [header, , ...body] = rows.map(splitTableRow);
+      out.push(`<table><thead><tr>${header.map((c) => `<th>${inlineMarkdown(c)}</th>`).join("")}</tr></thead>` +
+        `<tbody>${body.map((r) => `<tr>${r.map((c) => `<td>${inlineMarkdown(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`);
+    } else if (line.startsWith("- ")) {
+      const items = [];
+      for (; i < lines.length && lines[i].startsWith("- "); i++) items.push(lines[i].slice(2));
+      i -= 1;
+      out.push(`<ul>${items.map((item) => `<li>${inlineMarkdown(item)}</li>`).join("")}</ul>`);
+    } else if (line.trim()) {
+      out.push(`<p>${inlineMarkdown(line)}</p>`);
+    }
+  }
+  return out.join("\n");
+}
+
+const PLOT_SIZE = 480;
+const PLOT_PAD = 16;
+
+// Top-down x/z path with start, end and finding markers; +z points up as in
+// the coverage heatmap.
+function trajectorySvg(report) {
+  const points = report.trajectory;
+  if (points.length === 0) return "<p>No positions recorded.</p>";
+  const markers = report.findings.filter((f) => f.position);
+  const xs = [...points, ...markers.map((f) => f.position)].map((p) => p.x);
+  const zs = [...points, ...markers.map((f) => f.position)].map((p) => p.z);
+  const minX = Math.min(...xs);
+  const minZ = Math.min(...zs);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...zs) - minZ, 1);
+  const scale = (PLOT_SIZE - 2 * PLOT_PAD) / span;
+  const px = (x) => (PLOT_PAD + (x - minX) * scale).toFixed(1);
+  const pz = (z) => (PLOT_SIZE - PLOT_PAD - (z - minZ) * scale).toFixed(1);
+  const first = points[0];
+  const last = points[points.length - 1];
+  const findingDots = markers.map((f) =>
+    `<circle cx="${px(f.position.x)}" cy="${pz(f.position.z)}" r="5" class="finding"><title>#${f.index} ${escapeHtml(f.severity)} ` +
+    `${escapeHtml(f.detector)} at step ${f.step}: ${escapeHtml(f.detail)}</title></circle>`);
+
+  return `<svg viewBox="0 0 ${PLOT_SIZE} ${PLOT_SIZE}" width="${PLOT_SIZE}" height="${PLOT_SIZE}" role="img" ` +
+    `aria-label="Trajectory, top-down">\n` +
+    `<rect width="${PLOT_SIZE}" height="${PLOT_SIZE}" class="plot"/>\n` +
+    `<polyline class="path" points="${points.map((p) => `${px(p.x)},${pz(p.z)}`).join(" ")}"/>\n` +
+    `<circle cx="${px(first.x)}" cy="${pz(first.z)}" r="6" class="start"><title>start, step ${first.step}</title></circle>\n` +
+    `<circle cx="${px(last.x)}" cy="${pz(last.z)}" r="6" class="end"><title>end, step ${last.step}</title></circle>\n` +
+    `${findingDots.join("\n")}\n</svg>\n` +
+    `<p class="legend"><span class="start">●</span> start <span class="end">●</span> end ` +
+    `<span class="finding">●</span> finding &middot; x ${minX.toFixed(1)}..${(minX + span).toFixed(1)}, ` +
+    `z ${minZ.toFixed(1)}..${(minZ + span).toFixed(1)}</p>`;
+}
+
+const HTML_STYLE = `body{font:14px/1.5 system-ui,sans-serif;margin:2rem auto;max-width:60rem;padding:0 1rem;color:#222}
+h1 .status{padding:.1em .5em;border-radius:4px;color:#fff;font-size:.8em}
+.PASS{background:#2e7d32}.FAIL{background:#c62828}.incomplete{background:#757575}
+table{border-collapse:collapse;margin:.5rem 0}th,td{border:1px solid #ccc;padding:.2rem .5rem;text-align:left}
+pre{background:#f5f5f5;padding:.5rem;overflow-x:auto}code{background:#f5f5f5}
+svg .plot{fill:#fafafa;stroke:#ccc}svg .path{fill:none;stroke:#1565c0;stroke-width:1.5}
+.start{fill:#2e7d32;color:#2e7d32}.end{fill:#c62828;color:#c62828}.finding{fill:#ef6c00;color:#ef6c00}
+.legend{font-size:.9em;color:#555}`;
+
+export function renderReportHtml(report) {
+  const title = `QA Report: ${report.metadata.test || "(none)"}`;
+  // Everything but the title and status line renders through the Markdown
+  // report, so the two formats never disagree.
+  const body = renderReportMarkdown(report).split("\n").slice(3).join("\n");
+  return `<!doctype html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n` +
+    `<title>${escapeHtml(title)}</title>\n<style>\n${HTML_STYLE}\n</style>\n</head>\n<body>\n` +
+    `<h1>${escapeHtml(title)} <span class="status ${escapeHtml(report.status)}">${escapeHtml(report.status)}</span></h1>\n` +
+    `<h2>Trajectory</h2>\n${trajectorySvg(report)}\n` +
+    `${markdownToHtml(body)}\n` +
+    `<script type="application/json" id="report-data">${JSON.stringify(report).replace(/</g, "\\u003c")}</script>\n` +
+    `</body>\n</html>\n`;
+}
+
+export function renderReport(report, format) {
+  if (format === "json") return renderReportJson(report);
+  if (format === "html") return renderReportHtml(report);
+  return renderReportMarkdown(report);
+}
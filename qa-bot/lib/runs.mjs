@@ -0,0 +1,152 @@
+import fs from "fs";
+import path from "path";
+
+// On-disk layout, one directory per run (the run ID is the session ID):
+//   runs/<runId>/run.json       metadata and final counters
+//   runs/<runId>/spec.json      resolved test spec
+//   runs/<runId>/steps.ndjson   one record per /step
+//   runs/<runId>/report.md      latest report in each format
+//   runs/<runId>/report.json
+//   runs/<runId>/report.html
+//   runs/<runId>/frames/        screenshots kept for findings and failures
+
+const RUN_ID_PATTERN = /^[\w-]+$/;
+const REPORT_FILES = { md: "report.md", json: "report.json", html: "report.html" };
+const FRAME_FILE_PATTERN = /^step-\d+\.(png|jpg|webp)$/;
+
+function runDir(runsDir, runId) {
+  if (!RUN_ID_PATTERN.test(String(runId))) {
+    throw new Error(`Invalid run id: ${runId}`);
+  }
+  return path.join(runsDir, runId);
+}
+
+function readJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+export function initRun(runsDir, meta, spec) {
+  const dir = runDir(runsDir, meta.id);
+  fs.mkdirSync(dir, { recursive: true });
+  writeJson(path.join(dir, "run.json"), { status: "running", ...meta });
+  writeJson(path.join(dir, "spec.json"), spec);
+}
+
+export function updateRunMeta(runsDir, runId, patch) {
+  const filePath = path.join(runDir(runsDir, runId), "run.json");
+  const meta = readJson(filePath, { id: runId });
+  writeJson(filePath, { ...meta, ...patch });
+}
+
+export function appendStepRecord(runsDir, runId, record) {
+  const filePath = path.join(runDir(runsDir, runId), "steps.ndjson");
+  fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+}
+
+export function writeRunReport(runsDir, runId, format, content) {
+  const fileName = REPORT_FILES[format];
+  if (!fileName) throw new Error(`Unknown report format: ${format}`);
+  const body = typeof content === "string" ? content : `${JSON.stringify(content, null, 2)}\n`;
+  fs.writeFileSync(path.join(runDir(runsDir, runId), fileName), body);
+}
+
+export function writeRunFrame(runsDir, runId, fileName, data) {
+  const dir = path.join(runDir(runsDir, runId), "frames");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, fileName), data);
+}
+
+// Absolute path of a saved frame, or null for unknown runs and file names.
+export function runFramePath(runsDir, runId, fileName) {
+  if (!runExists(runsDir, runId) || !FRAME_FILE_PATTERN.test(String(fileName))) return null;
+  const filePath = path.join(runDir(runsDir, runId), "frames", fileName);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+export function runExists(runsDir, runId) {
+  return RUN_ID_PATTERN.test(String(runId)) && fs.existsSync(path.join(runsDir, runId, "run.json"));
+}
+
+export function readRunMeta(runsDir, runId) {
+  return readJson(path.join(runDir(runsDir, runId), "run.json"));
+}
+
+export function readRunSteps(runsDir, runId) {
+  const filePath = path.join(runDir(runsDir, runId), "steps.ndjson");
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+export function readRunReport(runsDir, runId, format) {
+  const fileName = REPORT_FILES[format];
+  if (!fileName) return null;
+  const filePath = path.join(runDir(runsDir, runId), fileName);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+}
+
+export function readRun(runsDir, runId, { includeSteps = true } = {}) {
+  if (!runExists(runsDir, runId)) return null;
+  const dir = runDir(runsDir, runId);
+  return {
+    meta: readRunMeta(runsDir, runId),
+    spec: readJson(path.join(dir, "spec.json")),
+    steps: includeSteps ? readRunSteps(runsDir, runId) : undefined,
+    reports: {
+      md: readRunReport(runsDir, runId, "md"),
+      json: readJson(path.join(dir, REPORT_FILES.json))
+    }
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A bare date (YYYY-MM-DD) as `until` covers that whole day.
+function parseDate(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  if (!Number.isFinite(ms)) return null;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ms + DAY_MS - 1 : ms;
+}
+
+// Filters: test, status (running|incomplete|PASS|FAIL), since/until (dates
+// compared against startedAt), limit. Newest runs first.
+export function listRuns(runsDir, filters = {}) {
+  if (!fs.existsSync(runsDir)) return [];
+  const since = parseDate(filters.since);
+  const until = parseDate(filters.until, { endOfDay: true });
+  const status = filters.status ? String(filters.status).toLowerCase() : null;
+  const limit = Number(filters.limit) > 0 ? Number(filters.limit) : Infinity;
+
+  return fs.readdirSync(runsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && RUN_ID_PATTERN.test(entry.name))
+    .map((entry) => readJson(path.join(runsDir, entry.name, "run.json")))
+    .filter(Boolean)
+    .filter((meta) => !filters.test || meta.test === filters.test)
+    .filter((meta) => !status || String(meta.status).toLowerCase() === status)
+    .filter((meta) => {
+      const started = parseDate(meta.startedAt);
+      if (since !== null && (started === null || started < since)) return false;
+      if (until !== null && (started === null || started > until)) return false;
+      return true;
+    })
+    .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))
+    .slice(0, limit);
+}
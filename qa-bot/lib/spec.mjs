@@ -0,0 +1,206 @@
+import YAML from "yaml";
+import { assertionSchema, checkAssertions } from "./assertions.mjs";
+import { baselineSchema } from "./baselines.mjs";
+import { checkCommandRules, commandRulesSchema } from "./commands.mjs";
+import { coverageSchema } from "./coverage.mjs";
+import { anomaliesSchema } from "./findings.mjs";
+import { memorySchema } from "./memory.mjs";
+import { objectiveSchema } from "./objectives.mjs";
+import { planningSchema } from "./plans.mjs";
+import { policySchema, resolvePolicyConfig } from "./policies.mjs";
+import { stuckSchema } from "./stuck.mjs";
+import { visionSchema } from "./vision.mjs";
+
+// Minimal schema checker for test specs. A schema node looks like
+//   { type, properties, required, items, enum, min, integer, variants, discriminator }
+// and may be a function returning a node, for recursive schemas.
+// Errors are path-level strings such as "objectives[0].minimum must be a number".
+
+export class SpecValidationError extends Error {
+  constructor(name, errors) {
+    super(`Invalid test spec ${name}: ${errors.join("; ")}`);
+    this.name = "SpecValidationError";
+    this.errors = errors;
+  }
+}
+
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+const TYPE_LABELS = {
+  string: "a string",
+  number: "a number",
+  boolean: "a boolean",
+  object: "an object",
+  array: "a list"
+};
+
+export function checkSchema(value, schema, path, errors) {
+  const node = typeof schema === "function" ? schema() : schema;
+  const label = path || "spec";
+
+  if (node.type && typeOf(value) !== node.type) {
+    errors.push(`${label} must be ${TYPE_LABELS[node.type] || node.type}`);
+    return;
+  }
+  if (node.type === "number") {
+    if (!Number.isFinite(value)) {
+      errors.push(`${label} must be a number`);
+      return;
+    }
+    if (node.integer && !Number.isInteger(value)) errors.push(`${label} must be an integer`);
+    if (Number.isFinite(node.min) && value < node.min) errors.push(`${label} must be >= ${node.min}`);
+    if (Number.isFinite(node.max) && value > node.max) errors.push(`${label} must be <= ${node.max}`);
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push(`${label} must be one of ${node.enum.join(", ")}`);
+    return;
+  }
+  if (node.type === "array" && node.items) {
+    value.forEach((item, i) => checkSchema(item, node.items, joinPath(path, i), errors));
+  }
+  if (node.type === "object") {
+    let properties = node.properties || {};
+    if (node.discriminator) {
+      const tag = value[node.discriminator] ?? node.defaultVariant;
+      const variant = node.variants[tag];
+      if (!variant) {
+        const tagPath = joinPath(path, node.discriminator);
+        errors.push(tag === undefined
+          ? `${tagPath} is required`
+          : `${tagPath} must be one of ${Object.keys(node.variants).join(", ")}`);
+        return;
+      }
+      properties = { ...properties, ...variant.properties };
+      checkRequired(value, variant.required, path, errors);
+    }
+    checkRequired(value, node.required, path, errors);
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(path, key);
+      if (!properties[key]) {
+        if (!node.additionalProperties) errors.push(`${childPath} is not a known field`);
+        continue;
+      }
+      if (child === undefined || child === null) continue;
+      checkSchema(child, properties[key], childPath, errors);
+    }
+  }
+}
+
+function checkRequired(value, required, path, errors) {
+  for (const key of required || []) {
+    if (value[key] === undefined || value[key] === null || value[key] === "") {
+      errors.push(`${joinPath(path, key)} is required`);
+    }
+  }
+}
+
+const SPEC_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    description: { type: "string" },
+    maxSteps: { type: "number", integer: true, min: 1 },
+    maxTokens: { type: "number", integer: true, min: 1 },
+    maxCost: { type: "number", min: 0 },
+    objectiveTimeLimitSec: { type: "number", min: 0 },
+    maxObjectiveAttempts: { type: "number", integer: true, min: 1 },
+    objectives: { type: "array", items: objectiveSchema },
+    constraints: {
+      type: "object",
+      properties: {
+        maxIdleSteps: { type: "number", integer: true, min: 0 },
+        avoidFalling: { type: "boolean" },
+        fallY: { type: "number" },
+        idlePositionEps: { type: "number", min: 0 },
+        idleYawEps: { type: "number", min: 0 }
+      }
+    },
+    assertions: { type: "array", items: assertionSchema },
+    prompt: {
+      type: "object",
+      properties: {
+        system: { type: "string" },
+        userTemplate: { type: "string" }
+      }
+    },
+    ...commandRulesSchema,
+    planning: planningSchema,
+    memory: memorySchema,
+    coverage: coverageSchema,
+    stuck: stuckSchema,
+    anomalies: anomaliesSchema,
+    vision: visionSchema,
+    baseline: baselineSchema,
+    // Checked separately below: may be a bare type name.
+    policy: { additionalProperties: true }
+  }
+};
+
+// Placeholders generateStepCommand() fills into prompt.userTemplate.
+export const TEMPLATE_VARIABLES = [
+  "observationJson",
+  "testName",
+  "description",
+  "objectivesJson",
+  "stepsTaken",
+  "chestsFound",
+  "totalChests",
+  "idleSteps",
+  "visitedMapAscii",
+  "recentActionsJson",
+  "deadEndsJson",
+  "visitedCellCount"
+];
+
+export function parseTestSpec(raw, name) {
+  try {
+    return YAML.parse(raw);
+  } catch (err) {
+    throw new SpecValidationError(name, [`YAML parse error: ${err?.message || err}`]);
+  }
+}
+
+export function findTemplatePlaceholders(template) {
+  return [...String(template).matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+}
+
+export function validateSpec(data, { templateVariables = [] } = {}) {
+  const errors = [];
+  if (typeOf(data) !== "object") {
+    return ["spec must be a YAML mapping"];
+  }
+
+  checkSchema(data, SPEC_SCHEMA, "", errors);
+
+  const policy = typeof data.policy === "string" ? { type: data.policy } : data.policy;
+  if (policy !== undefined && policy !== null) {
+    checkSchema(policy, policySchema, "policy", errors);
+  }
+
+  errors.push(...checkAssertions(data.assertions));
+  errors.push(...checkCommandRules(data));
+
+  const policyType = resolvePolicyConfig(data.policy).type;
+  const userTemplate = data.prompt?.userTemplate;
+  if (policyType === "gemini" && (typeof userTemplate !== "string" || !userTemplate.trim())) {
+    errors.push("prompt.userTemplate is required for the gemini policy");
+  }
+  if (typeof userTemplate === "string") {
+    const unknown = [...new Set(findTemplatePlaceholders(userTemplate))]
+      .filter((key) => !templateVariables.includes(key));
+    for (const key of unknown) {
+      errors.push(`prompt.userTemplate uses unknown placeholder {${key}}`);
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,208 @@
+import { validateCommand } from "./commands.mjs";
+import { dropPlan } from "./plans.mjs";
+import { createRng } from "./policies.mjs";
+
+// Stuck detection beyond plain idleness. Detectors look at recent history
+// entries (command + outcome, see lib/memory.mjs) since the last recovery:
+//   blocked_forward  - several forward moves in a row that barely moved
+//   turn_oscillation - alternating left/right turns without getting anywhere
+//   circling         - moving, but staying within a small radius
+// A detection starts an episode and queues a recovery routine (back up, turn
+// a random angle, move forward) that /step hands out before asking the
+// policy again. The turn is drawn from a seeded RNG (`stuck.seed`, else the
+// policy's seed, else a fixed one) so stuck runs repeat exactly. An episode
+// counts as recovered when no detector fires for `settleSteps` steps after
+// the routine.
+
+export const stuckSchema = {
+  type: "object",
+  properties: {
+    enabled: { type: "boolean" },
+    window: { type: "number", integer: true, min: 3 },
+    blockedMoves: { type: "number", integer: true, min: 1 },
+    blockedDistance: { type: "number", min: 0 },
+    turnOscillations: { type: "number", integer: true, min: 2 },
+    circleRadius: { type: "number", min: 0 },
+    settleSteps: { type: "number", integer: true, min: 1 },
+    seed: { type: "number", integer: true }
+  }
+};
+
+const DEFAULT_SEED = 1;
+
+export function resolveStuck(raw) {
+  const value = (key, fallback) => (Number.isFinite(raw?.[key]) ? raw[key] : fallback);
+  return {
+    enabled: raw?.enabled !== false,
+    window: value("window", 10),
+    blockedMoves: value("blockedMoves", 3),
+    blockedDistance: value("blockedDistance", 0.2),
+    turnOscillations: value("turnOscillations", 4),
+    circleRadius: value("circleRadius", 1.5),
+    settleSteps: value("settleSteps", 6),
+    seed: value("seed", null)
+  };
+}
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+function commandName(command) {
+  return String(command || "").split(":")[0];
+}
+
+function detectBlockedForward(entries, config) {
+  const forward = entries.filter((e) => commandName(e.commandIssued) === "move_fwd");
+  const last = forward.slice(-config.blockedMoves);
+  if (last.length < config.blockedMoves) return null;
+  // Only consecutive forward attempts: a successful move in between resets.
+  if (!last.every((e) => e.outcome.moved < config.blockedDistance)) return null;
+  const covered = last.reduce((sum, e) => sum + e.outcome.moved, 0);
+  return `${last.length} forward moves covered ${round(covered)} in total`;
+}
+
+function detectTurnOscillation(entries, config) {
+  const last = entries.slice(-config.turnOscillations);
+  if (last.length < config.turnOscillations) return null;
+  const names = last.map((e) => commandName(e.commandIssued));
+  if (!names.every((n) => n === "turn_left" || n === "turn_right")) return null;
+  if (!names.every((n, i) => i === 0 || n !== names[i - 1])) return null;
+  const moved = last.reduce((sum, e) => sum + e.outcome.moved, 0);
+  if (moved >= config.blockedDistance * last.length) return null;
+  return `${last.length} alternating turns (${names.join(", ")})`;
+}
+
+function detectCircling(entries, current, config) {
+  const last = entries.slice(-config.window);
+  if (last.length < config.window) return null;
+  const points = [...last.map((e) => e.position), current.position];
+  const center = {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    z: points.reduce((sum, p) => sum + p.z, 0) / points.length
+  };
+  const radius = Math.max(...points.map((p) => distance(p, center)));
+  const pathLength = last.reduce((sum, e) => sum + e.outcome.moved, 0);
+  // Standing still is idleness, not circling.
+  if (radius > config.circleRadius || pathLength < config.circleRadius * 2) return null;
+  return `walked ${round(pathLength)} within radius ${round(radius)} over ${last.length} steps`;
+}
+
+function detect(history, config, sinceStep) {
+  const current = history[history.length - 1];
+  const entries = history.filter((e) => e.step > sinceStep && e !== current && e.commandIssued && e.outcome);
+  const checks = [
+    ["blocked_forward", () => detectBlockedForward(entries, config)],
+    ["turn_oscillation", () => detectTurnOscillation(entries, config)],
+    ["circling", () => detectCircling(entries, current, config)]
+  ];
+  for (const [detector, check] of checks) {
+    const detail = check();
+    if (detail) return { detector, detail };
+  }
+  return null;
+}
+
+function recoveryCommands(rules, rng) {
+  const direction = rng() < 0.5 ? "turn_left" : "turn_right";
+  const angle = 90 + Math.round(rng() * 90);
+  return ["move_back:1", `${direction}:${angle}`, "move_fwd:1.5"]
+    .map((raw) => validateCommand(raw, rules))
+    .filter((check) => check.ok)
+    .map((check) => check.command);
+}
+
+// `seed` is the spec's stuck.seed or policy seed, if any.
+export function createStuckState(seed) {
+  return { episodes: [], recovery: null, rng: createRng(Number.isFinite(seed) ? seed : DEFAULT_SEED) };
+}
+
+// Called once per /step after the observation is in session.history.
+// Returns the new episode when a detector fired, otherwise null.
+export function updateStuck(session) {
+  const config = session.activeTest.stuck;
+  const state = session.stuck;
+  const open = state.episodes.find((e) => e.result === null) || null;
+  if (open && !state.recovery && session.stepsTaken > open.recoveryEndStep + config.settleSteps) {
+    open.result = "recovered";
+    open.displacement = round(distance(open.position, session.lastPosition));
+  }
+  if (!config.enabled || state.recovery) return null;
+
+  const lastEpisode = state.episodes[state.episodes.length - 1];
+  const found = detect(session.history, config, lastEpisode ? lastEpisode.recoveryEndStep : 0);
+  if (!found) return null;
+
+  if (open) open.result = "still_stuck";
+  const commands = recoveryCommands(session.activeTest.commandRules, state.rng);
+  const episode = {
+    index: state.episodes.length + 1,
+    step: session.stepsTaken,
+    detector: found.detector,
+    detail: found.detail,
+    position: { ...session.lastPosition },
+    recovery: commands,
+    recoveryEndStep: session.stepsTaken + commands.length,
+    result: null,
+    displacement: null
+  };
+  state.episodes.push(episode);
+  if (commands.length > 0) {
+    dropPlan(session, "stuck");
+    state.recovery = { episode, index: 0 };
+  }
+  return episode;
+}
+
+// Next recovery command as a decision, or null when no routine is running.
+export function nextRecoveryCommand(session) {
+  const recovery = session.stuck.recovery;
+  if (!recovery) return null;
+  const { episode } = recovery;
+  const command = episode.recovery[recovery.index];
+  recovery.index += 1;
+  if (recovery.index >= episode.recovery.length) {
+    session.stuck.recovery = null;
+    episode.recoveryEndStep = session.stepsTaken;
+  }
+  return {
+    command,
+    note: `recovery ${recovery.index}/${episode.recovery.length} (${episode.detector})`,
+    fromRecovery: true,
+    validation: { raw: command }
+  };
+}
+
+export function summarizeStuck(state) {
+  return state.episodes.map(({ index, step, detector, detail, recovery, result, displacement }) => ({
+    index,
+    step,
+    detector,
+    detail,
+    recovery,
+    result: result || (state.recovery ? "recovering" : "unresolved"),
+    displacement
+  }));
+}
+
+// `episodes` is a summarizeStuck() result.
+export function buildStuckReportSection(episodes) {
+  if (episodes.length === 0) {
+    return `## Stuck Episodes\n- (none)\n\n`;
+  }
+  const recovered = episodes.filter((e) => e.result === "recovered").length;
+  const rows = episodes.map((e) =>
+    `| ${e.index} | ${e.step} | ${e.detector} | ${e.detail} | ` +
+    `${e.recovery.join(", ") || "(none allowed)"} | ` +
+    `${e.result}${e.displacement !== null ? ` (moved ${e.displacement})` : ""} |`);
+  return `## Stuck Episodes\n` +
+    `- Episodes: ${episodes.length} (recovered ${recovered})\n\n` +
+    `| # | Step | Detector | Detail | Recovery | Result |\n| --- | --- | --- | --- | --- | --- |\n` +
+    `${rows.join("\n")}\n\n`;
+}
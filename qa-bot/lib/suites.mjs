@@ -0,0 +1,233 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { flakinessScore } from "./baselines.mjs";
+import { SpecValidationError, checkSchema } from "./spec.mjs";
+import { formatCost, sumUsage } from "./usage.mjs";
+
+// A suite lists several test specs, each run `repeat` times in order:
+//
+//   name: nightly
+//   tests:
+//     - find_one_chest          # shorthand for { test: find_one_chest, repeat: 1 }
+//     - test: offline_smoke
+//       repeat: 3
+
+const SUITE_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    description: { type: "string" },
+    tests: { type: "array" }
+  },
+  required: ["tests"]
+};
+
+const SUITE_ENTRY_SCHEMA = {
+  type: "object",
+  properties: {
+    test: { type: "string" },
+    repeat: { type: "number", integer: true, min: 1 }
+  },
+  required: ["test"]
+};
+
+export function loadSuiteSpec(name, suitesDir) {
+  const filePath = path.join(suitesDir, `${name}.yaml`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Suite not found: ${filePath}`);
+  }
+
+  let data;
+  try {
+    data = YAML.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new SpecValidationError(name, [`YAML parse error: ${err?.message || err}`]);
+  }
+
+  const errors = [];
+  checkSchema(data ?? null, SUITE_SCHEMA, "", errors);
+  const entries = (Array.isArray(data?.tests) ? data.tests : [])
+    .map((entry) => (typeof entry === "string" ? { test: entry } : entry));
+  entries.forEach((entry, i) => checkSchema(entry, SUITE_ENTRY_SCHEMA, `tests[${i}]`, errors));
+  if (errors.length > 0) {
+    throw new SpecValidationError(name, errors);
+  }
+
+  return {
+    name: data.name || name,
+    description: data.description || "",
+    tests: entries.map((entry) => ({ test: entry.test, repeat: entry.repeat || 1 }))
+  };
+}
+
+// Expands the suite into one queue item per run.
+export function createSuiteRun(id, suiteSpec) {
+  const queue = [];
+  const counts = {};
+  for (const entry of suiteSpec.tests) {
+    for (let i = 0; i < entry.repeat; i++) {
+      counts[entry.test] = (counts[entry.test] || 0) + 1;
+      queue.push({ test: entry.test, iteration: counts[entry.test] });
+    }
+  }
+  return {
+    id,
+    spec: suiteSpec,
+    queue,
+    position: 0,
+    results: [],
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    lastSeenAtMs: Date.now()
+  };
+}
+
+export function currentSuiteItem(suite) {
+  return suite.queue[suite.position] || null;
+}
+
+export function recordSuiteResult(suite, result) {
+  suite.results.push({ ...currentSuiteItem(suite), ...result });
+  suite.position += 1;
+  if (suite.aborted || suite.position >= suite.queue.length) {
+    suite.finishedAt = suite.finishedAt || new Date().toISOString();
+    return null;
+  }
+  return currentSuiteItem(suite);
+}
+
+// Stops the suite after the run in progress; queued runs are not started.
+export function abortSuite(suite) {
+  suite.aborted = true;
+}
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+export function summarizeSuite(suite) {
+  const byTest = new Map();
+  for (const item of suite.queue) {
+    if (!byTest.has(item.test)) {
+      byTest.set(item.test, { test: item.test, planned: 0, runs: 0, passed: 0, totalSteps: 0, failureReasons: {}, statuses: [] });
+    }
+    byTest.get(item.test).planned += 1;
+  }
+  for (const result of suite.results) {
+    const row = byTest.get(result.test);
+    row.runs += 1;
+    row.totalSteps += result.stepsTaken || 0;
+    row.statuses.push(result.status);
+    if (result.status === "PASS") {
+      row.passed += 1;
+    } else {
+      const reason = result.doneReason || "unknown";
+      row.failureReasons[reason] = (row.failureReasons[reason] || 0) + 1;
+    }
+  }
+
+  const tests = [...byTest.values()].map((row) => ({
+    test: row.test,
+    planned: row.planned,
+    runs: row.runs,
+    passed: row.passed,
+    passRate: row.runs > 0 ? round(row.passed / row.runs, 3) : null,
+    flakiness: flakinessScore(row.statuses),
+    meanSteps: row.runs > 0 ? round(row.totalSteps / row.runs) : null,
+    failureReasons: row.failureReasons
+  }));
+  const passed = suite.results.filter((r) => r.status === "PASS").length;
+
+  return {
+    suiteId: suite.id,
+    name: suite.spec.name,
+    startedAt: suite.startedAt,
+    finishedAt: suite.finishedAt,
+    complete: Boolean(suite.finishedAt),
+    aborted: Boolean(suite.aborted),
+    runsPlanned: suite.queue.length,
+    runsCompleted: suite.results.length,
+    passed,
+    passRate: suite.results.length > 0 ? round(passed / suite.results.length, 3) : null,
+    usage: sumUsage(suite.results.map((r) => r.usage)),
+    tests,
+    runs: suite.results
+  };
+}
+
+function formatPct(rate) {
+  return rate === null ? "n/a" : `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatReasons(reasons) {
+  const entries = Object.entries(reasons);
+  return entries.length > 0 ? entries.map(([k, v]) => `${k} x${v}`).join(", ") : "-";
+}
+
+export function buildSuiteReportMarkdown(suite) {
+  const summary = summarizeSuite(suite);
+  const testRows = summary.tests.map((t) =>
+    `| ${t.test} | ${t.runs}/${t.planned} | ${t.passed} | ${formatPct(t.passRate)} | ${t.flakiness ?? "n/a"} | ` +
+    `${t.meanSteps ?? "n/a"} | ${formatReasons(t.failureReasons)} |`);
+  const runLines = summary.runs.map((r, idx) =>
+    `- ${idx + 1}. ${r.test} #${r.iteration} => ${r.status} (${r.doneReason || "n/a"}, ${r.stepsTaken} steps, session ${r.sessionId})`);
+
+  return `# QA Suite Report\n\n` +
+    `Suite: ${summary.name}\n\n` +
+    `Status: ${summary.aborted ? "ABORTED" : summary.complete ? (summary.passed === summary.runsCompleted ? "PASS" : "FAIL") : "RUNNING"}\n\n` +
+    `## Summary\n` +
+    `- Started: ${summary.startedAt}\n` +
+    `- Finished: ${summary.finishedAt || "n/a"}\n` +
+    `- Runs: ${summary.runsCompleted} / ${summary.runsPlanned}\n` +
+    `- Pass rate: ${formatPct(summary.passRate)}\n` +
+    `- Tokens: ${summary.usage.totalTokens} (input ${summary.usage.inputTokens}, output ${summary.usage.outputTokens}), est. cost ${formatCost(summary.usage.cost)}\n\n` +
+    `## Tests\n` +
+    (testRows.length > 0
+      ? `| Test | Runs | Passed | Pass rate | Flakiness | Mean steps | Failure reasons |\n| --- | --- | --- | --- | --- | --- | --- |\n${testRows.join("\n")}\n\n`
+      : `- (none)\n\n`) +
+    `## Runs\n` +
+    (runLines.length > 0 ? `${runLines.join("\n")}\n` : `- (none)\n`);
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// One <testcase> per run, grouped into one <testsuite> per spec so CI
+// dashboards list bot runs next to unit tests. `runs` are suite results:
+// { test, iteration, sessionId, status, doneReason, stepsTaken, durationSec }.
+export function buildJUnitXml(name, runs) {
+  const tests = [...new Set(runs.map((r) => r.test))];
+  const suitesXml = tests.map((test) => {
+    const testRuns = runs.filter((r) => r.test === test);
+    const failed = testRuns.filter((r) => r.status !== "PASS").length;
+    const time = testRuns.reduce((sum, r) => sum + (r.durationSec || 0), 0);
+    const cases = testRuns.map((r) => {
+      const open = `    <testcase classname="qa-bot.${escapeXml(name)}.${escapeXml(test)}" ` +
+        `name="${escapeXml(`${test} #${r.iteration}`)}" time="${(r.durationSec || 0).toFixed(3)}"`;
+      if (r.status === "PASS") return `${open} />`;
+      const message = `${r.doneReason || "unknown"} after ${r.stepsTaken} steps`;
+      return `${open}>\n      <failure message="${escapeXml(message)}" type="${escapeXml(r.doneReason || "unknown")}">` +
+        `${escapeXml(`session ${r.sessionId}: ${message}`)}</failure>\n    </testcase>`;
+    });
+    return `  <testsuite name="${escapeXml(test)}" tests="${testRuns.length}" failures="${failed}" ` +
+      `time="${time.toFixed(3)}">\n${cases.join("\n")}\n  </testsuite>`;
+  });
+  const failures = runs.filter((r) => r.status !== "PASS").length;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<testsuites name="${escapeXml(name)}" tests="${runs.length}" failures="${failures}">\n` +
+    (suitesXml.length > 0 ? `${suitesXml.join("\n")}\n` : "") +
+    `</testsuites>\n`;
+}
+
+export function buildSuiteJUnitXml(suite) {
+  const summary = summarizeSuite(suite);
+  return buildJUnitXml(summary.name, summary.runs);
+}
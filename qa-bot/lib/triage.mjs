@@ -0,0 +1,270 @@
+import { findingKey } from "./baselines.mjs";
+import { validateCommand } from "./commands.mjs";
+import { reproCommands } from "./findings.mjs";
+
+// Bug triage for the report: suspected issues, each ready to file with a
+// title, severity, the steps that show it and commands that reproduce it
+// from /start. Gemini proposes them from a condensed trajectory and the
+// detected findings; with the model off (REPORT_USE_GEMINI=0, no API key or
+// a failed call) they are derived from findings, unresolved stuck episodes
+// and the done reason instead, and the report says which one it got.
+
+const SEVERITIES = ["high", "medium", "low"];
+const MAX_TRIAGE_ISSUES = 10;
+const MAX_EVIDENCE_STEPS = 8;
+// Trajectory points sent to the model; steps near findings, stuck episodes
+// and chest pickups are always kept.
+const TRIAGE_MAX_POINTS = 150;
+
+export const TRIAGE_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    issues: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          severity: { type: "string", enum: SEVERITIES },
+          summary: { type: "string" },
+          evidenceSteps: { type: "array", items: { type: "integer" } },
+          reproCommands: { type: "array", items: { type: "string" } }
+        },
+        required: ["title", "severity", "summary", "evidenceSteps", "reproCommands"]
+      }
+    }
+  },
+  required: ["issues"]
+};
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function formatPos(p) {
+  return p ? `(${[p.x, p.y, p.z].map((v) => round(v)).join(", ")})` : "n/a";
+}
+
+// One point per kept step: position, yaw, chests found and the command
+// issued after it.
+export function condenseTrajectory(history, { findings = [], stuckEpisodes = [], maxPoints = TRIAGE_MAX_POINTS } = {}) {
+  if (history.length === 0) return [];
+  const keep = new Set([history[0].step, history[history.length - 1].step]);
+  for (const f of findings) {
+    for (let step = f.step - 1; step <= (f.lastStep ?? f.step) + 1; step++) keep.add(step);
+  }
+  for (const e of stuckEpisodes) {
+    for (let step = e.step - 2; step <= e.step + 1; step++) keep.add(step);
+  }
+  history.forEach((entry, idx) => {
+    if (idx > 0 && entry.chestsFound !== history[idx - 1].chestsFound) keep.add(entry.step);
+  });
+  const room = Math.max(maxPoints - keep.size, 1);
+  const stride = Math.ceil(history.length / room) || 1;
+  return history
+    .filter((entry, idx) => keep.has(entry.step) || idx % stride === 0)
+    .map((entry) => ({
+      step: entry.step,
+      x: round(entry.position?.x),
+      y: round(entry.position?.y),
+      z: round(entry.position?.z),
+      yaw: round(entry.yaw, 1),
+      chests: entry.chestsFound,
+      command: entry.commandIssued || null
+    }));
+}
+
+export function buildTriagePrompt(context) {
+  return [
+    "You are triaging an automated QA run of a 3D maze game for bugs worth filing.",
+    "A bot walked the level from /start; the trajectory lists one point per kept step (x/z are the ground plane, y is height)",
+    "and the command the bot issued after it. Findings and stuck episodes come from rule-based detectors.",
+    "",
+    "List the suspected game or level bugs this run shows, most severe first. For each:",
+    "- title: one line a developer would recognise in a bug tracker",
+    "- severity: high (breaks play: falling through the world, teleports, bad state), medium (blocks progress), low (cosmetic or doubtful)",
+    "- summary: what happened and where, in one or two sentences",
+    "- evidenceSteps: step numbers from the trajectory, findings or stuck episodes that show it",
+    `- reproCommands: commands from /start that lead there, using only: ${context.allowedCommands}; write repeats as "<command> xN"`,
+    "The bot's own poor navigation is not a bug unless it points at a level problem (e.g. an unreachable chest).",
+    "Do not invent issues the data does not show; return an empty list when nothing looks wrong.",
+    "",
+    "Run (JSON):",
+    JSON.stringify(context)
+  ].join("\n");
+}
+
+function expandRepeat(command) {
+  const match = /^(.*\S)\s+x(\d+)$/.exec(command.trim());
+  return match ? { command: match[1], count: Number(match[2]) } : { command: command.trim(), count: 1 };
+}
+
+// Keeps repro commands the spec allows, normalized, and drops the rest.
+function checkReproCommands(commands, rules) {
+  const kept = [];
+  let dropped = 0;
+  for (const raw of Array.isArray(commands) ? commands : []) {
+    if (typeof raw !== "string") {
+      dropped += 1;
+      continue;
+    }
+    const { command, count } = expandRepeat(raw);
+    const check = validateCommand(command, rules);
+    if (!check.ok) {
+      dropped += 1;
+      continue;
+    }
+    kept.push(count > 1 ? `${check.command} x${count}` : check.command);
+  }
+  return { kept, dropped };
+}
+
+function evidenceFor(steps, history) {
+  const byStep = new Map(history.map((entry) => [entry.step, entry]));
+  return steps.map((step) => {
+    const entry = byStep.get(step);
+    return { step, position: entry?.position || null, command: entry?.commandIssued || null };
+  });
+}
+
+function finishIssues(issues, history) {
+  return issues
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+    .slice(0, MAX_TRIAGE_ISSUES)
+    .map((issue, idx) => ({
+      id: `BUG-${idx + 1}`,
+      ...issue,
+      evidence: evidenceFor(issue.evidenceSteps, history)
+    }));
+}
+
+// Validates the model's reply against the run: severities from the schema,
+// evidence steps that exist, repro commands the spec allows. Returns null
+// when the reply is not the expected JSON.
+export function parseTriageResponse(text, { history, commandRules }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed?.issues)) return null;
+  const steps = new Set(history.map((entry) => entry.step));
+  const issues = parsed.issues
+    .filter((issue) => typeof issue?.title === "string" && issue.title.trim())
+    .map((issue) => {
+      const repro = checkReproCommands(issue.reproCommands, commandRules);
+      const evidenceSteps = [...new Set((Array.isArray(issue.evidenceSteps) ? issue.evidenceSteps : [])
+        .filter((step) => Number.isInteger(step) && steps.has(step)))]
+        .sort((a, b) => a - b)
+        .slice(0, MAX_EVIDENCE_STEPS);
+      return {
+        title: issue.title.trim(),
+        severity: SEVERITIES.includes(issue.severity) ? issue.severity : "medium",
+        summary: typeof issue.summary === "string" ? issue.summary.trim() : "",
+        evidenceSteps,
+        reproCommands: repro.kept,
+        droppedCommands: repro.dropped
+      };
+    });
+  return finishIssues(issues, history);
+}
+
+const DONE_REASON_ISSUES = {
+  fellOutOfLevel: {
+    severity: "high",
+    title: (pos) => `Player falls out of the level near ${pos}`,
+    summary: "The run ended with the player below the fall height."
+  },
+  idleTooLong: {
+    severity: "medium",
+    title: (pos) => `Player stops making progress near ${pos}`,
+    summary: "The run ended because position and yaw stopped changing."
+  },
+  maxSteps: {
+    severity: "low",
+    title: () => "Objectives not reached within the step limit",
+    summary: "The run used all its steps; a chest may be unreachable or too far for the step budget."
+  }
+};
+
+// Offline triage: one issue per finding location (detector and 2-unit cell),
+// per unresolved stuck episode and for a failing done reason.
+export function heuristicTriage({ findings, stuckEpisodes, doneReason, history }) {
+  const issues = [];
+
+  const groups = new Map();
+  for (const finding of findings) {
+    const key = findingKey(finding);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(finding);
+  }
+  for (const group of groups.values()) {
+    const first = group[0];
+    const severity = SEVERITIES.find((s) => group.some((f) => f.severity === s)) || "medium";
+    const occurrences = group.length > 1 ? ` (${group.length} times)` : "";
+    issues.push({
+      title: `${first.detector.replace(/_/g, " ")} near ${formatPos(first.position)}`,
+      severity,
+      summary: `${first.detail}${occurrences}.`,
+      evidenceSteps: [...new Set(group.flatMap((f) => [f.step, f.lastStep ?? f.step]))]
+        .sort((a, b) => a - b)
+        .slice(0, MAX_EVIDENCE_STEPS),
+      reproCommands: first.repro
+    });
+  }
+
+  for (const episode of stuckEpisodes.filter((e) => e.result === "unresolved")) {
+    const entry = history.find((h) => h.step === episode.step);
+    issues.push({
+      title: `Player stuck near ${formatPos(entry?.position)} (${episode.detector})`,
+      severity: "medium",
+      summary: `${episode.detail}; recovery (${episode.recovery.join(", ") || "none allowed"}) did not free the player.`,
+      evidenceSteps: [episode.step],
+      reproCommands: reproCommands(history, episode.step)
+    });
+  }
+
+  const reasonIssue = DONE_REASON_ISSUES[doneReason];
+  const last = history[history.length - 1];
+  if (reasonIssue && last) {
+    issues.push({
+      title: reasonIssue.title(formatPos(last.position)),
+      severity: reasonIssue.severity,
+      summary: reasonIssue.summary,
+      evidenceSteps: [last.step],
+      reproCommands: reproCommands(history, last.step)
+    });
+  }
+
+  return finishIssues(issues, history);
+}
+
+function formatEvidence(evidence) {
+  return evidence
+    .map((e) => `step ${e.step} at ${formatPos(e.position)}${e.command ? ` then \`${e.command}\`` : ""}`)
+    .join("; ");
+}
+
+// `run` is { runId, test, policy }.
+export function buildTriageReportSection(triage, run) {
+  const header = `## Bug Triage\n- Source: ${triage.label}\n`;
+  if (triage.issues.length === 0) {
+    return `${header}- Suspected issues: (none)\n\n`;
+  }
+  const counts = SEVERITIES
+    .map((severity) => [severity, triage.issues.filter((i) => i.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`)
+    .join(", ");
+  const entries = triage.issues.map((issue) => {
+    const repro = issue.reproCommands.length > 0 ? issue.reproCommands.map((c) => `\`${c}\``).join(", ") : "(no commands)";
+    return `### ${issue.id} [${issue.severity}] ${issue.title}\n` +
+      `- Test: ${run.test || "n/a"} (run ${run.runId}, policy ${run.policy || "n/a"})\n` +
+      (issue.summary ? `- Summary: ${issue.summary}\n` : "") +
+      `- Evidence: ${issue.evidence.length > 0 ? formatEvidence(issue.evidence) : "n/a"}\n` +
+      `- Repro: /start ${JSON.stringify({ testName: run.test })}, then ${repro}\n` +
+      (issue.droppedCommands > 0 ? `- Note: ${issue.droppedCommands} suggested command(s) dropped as not allowed by the spec\n` : "");
+  });
+  return `${header}- Suspected issues: ${triage.issues.length} (${counts})\n\n${entries.join("\n")}\n`;
+}
@@ -0,0 +1,160 @@
+import fs from "fs";
+import YAML from "yaml";
+
+// Token usage and estimated cost of Gemini calls. Prices are USD per million
+// tokens; a model matches the longest key it starts with, so dated preview
+// names use their family's price. Cached responses are counted but not billed.
+
+export const DEFAULT_PRICES = {
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 }
+};
+
+// Entries from a JSON or YAML file replace or extend the defaults.
+export function loadPriceTable(filePath) {
+  if (!filePath) return { ...DEFAULT_PRICES };
+  const data = YAML.parse(fs.readFileSync(filePath, "utf8"));
+  const prices = { ...DEFAULT_PRICES };
+  for (const [model, price] of Object.entries(data || {})) {
+    if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output)) {
+      throw new Error(`${filePath}: ${model} needs numeric input and output prices`);
+    }
+    prices[model] = { input: price.input, output: price.output };
+  }
+  return prices;
+}
+
+export function priceFor(prices, model) {
+  const key = Object.keys(prices)
+    .filter((name) => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+// Thinking tokens are billed as output.
+export function tokensFromMetadata(usageMetadata) {
+  const input = usageMetadata?.promptTokenCount || 0;
+  const output = (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0);
+  return { inputTokens: input, outputTokens: output, totalTokens: usageMetadata?.totalTokenCount || input + output };
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+export function createUsageState() {
+  return { ...emptyTotals(), cachedCalls: 0, cachedTokens: 0, byKind: {}, unpricedModels: [] };
+}
+
+function addTotals(target, tokens, cost) {
+  target.calls += 1;
+  target.inputTokens += tokens.inputTokens;
+  target.outputTokens += tokens.outputTokens;
+  target.totalTokens += tokens.totalTokens;
+  target.cost += cost;
+}
+
+// Records one call ("step" or "triage") and returns what it cost, for
+// the step record.
+export function recordUsage(usage, { kind, model, usageMetadata, cached = false }, prices) {
+  const tokens = tokensFromMetadata(usageMetadata);
+  if (cached) {
+    usage.cachedCalls += 1;
+    usage.cachedTokens += tokens.totalTokens;
+    return { ...tokens, cost: 0, cached: true };
+  }
+  const price = priceFor(prices, model);
+  if (!price && model && !usage.unpricedModels.includes(model)) usage.unpricedModels.push(model);
+  const cost = price ? (tokens.inputTokens * price.input + tokens.outputTokens * price.output) / 1e6 : 0;
+  addTotals(usage, tokens, cost);
+  usage.byKind[kind] = usage.byKind[kind] || emptyTotals();
+  addTotals(usage.byKind[kind], tokens, cost);
+  return { ...tokens, cost };
+}
+
+export function usageMark(usage) {
+  return { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, cost: usage.cost };
+}
+
+// Billed usage since `mark`, or undefined when there was none.
+export function usageSince(usage, mark) {
+  const inputTokens = usage.inputTokens - mark.inputTokens;
+  const outputTokens = usage.outputTokens - mark.outputTokens;
+  if (inputTokens === 0 && outputTokens === 0) return undefined;
+  return { inputTokens, outputTokens, cost: roundCost(usage.cost - mark.cost) };
+}
+
+// Name of the exceeded budget ("maxTokens" or "maxCost"), or null.
+export function exceededBudget(usage, spec) {
+  if (Number.isFinite(spec.maxTokens) && usage.totalTokens >= spec.maxTokens) return "maxTokens";
+  if (Number.isFinite(spec.maxCost) && usage.cost >= spec.maxCost) return "maxCost";
+  return null;
+}
+
+export function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+function roundCost(cost) {
+  return Number(cost.toFixed(6));
+}
+
+export function summarizeUsage(usage) {
+  const round = (totals) => ({ ...totals, cost: roundCost(totals.cost) });
+  return {
+    ...round(usage),
+    byKind: Object.fromEntries(Object.entries(usage.byKind).map(([kind, totals]) => [kind, round(totals)]))
+  };
+}
+
+// Sums per-run usage summaries, e.g. the runs of a suite.
+export function sumUsage(summaries) {
+  const total = emptyTotals();
+  for (const summary of summaries) {
+    if (!summary) continue;
+    total.calls += summary.calls;
+    total.inputTokens += summary.inputTokens;
+    total.outputTokens += summary.outputTokens;
+    total.totalTokens += summary.totalTokens;
+    total.cost += summary.cost;
+  }
+  return { ...total, cost: roundCost(total.cost) };
+}
+
+export function budgetConstraintRows(usage, spec) {
+  const rows = [];
+  if (Number.isFinite(spec.maxTokens)) {
+    rows.push({
+      constraint: "maxTokens",
+      limit: spec.maxTokens,
+      actual: usage.totalTokens,
+      status: usage.totalTokens < spec.maxTokens ? "PASS" : "FAIL"
+    });
+  }
+  if (Number.isFinite(spec.maxCost)) {
+    rows.push({
+      constraint: "maxCost",
+      limit: formatCost(spec.maxCost),
+      actual: formatCost(usage.cost),
+      status: usage.cost < spec.maxCost ? "PASS" : "FAIL"
+    });
+  }
+  return rows;
+}
+
+export function buildUsageReportSection(usage) {
+  if (usage.calls === 0 && usage.cachedCalls === 0) return "";
+  const kindRows = Object.entries(usage.byKind).map(([kind, t]) =>
+    `| ${kind} | ${t.calls} | ${t.inputTokens} | ${t.outputTokens} | ${formatCost(t.cost)} |`);
+  const notes = [];
+  if (usage.cachedCalls > 0) notes.push(`- Served from cache: ${usage.cachedCalls} calls, ${usage.cachedTokens} tokens (not billed)`);
+  if (usage.unpricedModels.length > 0) notes.push(`- No price for: ${usage.unpricedModels.join(", ")} (cost counted as 0)`);
+  return `## Token Usage\n` +
+    `| Call | Requests | Input tokens | Output tokens | Est. cost |\n| --- | --- | --- | --- | --- |\n` +
+    kindRows.map((row) => `${row}\n`).join("") +
+    `| total | ${usage.calls} | ${usage.inputTokens} | ${usage.outputTokens} | ${formatCost(usage.cost)} |\n\n` +
+    (notes.length > 0 ? `${notes.join("\n")}\n\n` : "");
+}
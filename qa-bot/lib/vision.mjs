@@ -0,0 +1,133 @@
+// Optional screenshots with /step. A client sends `image` (base64 or a data
+// URL) next to `observationJson`, or a multipart/form-data upload with an
+// `observationJson` field and an `image` file. With `vision.enabled` the
+// image goes to Gemini as inline data. The server does not resample images:
+// it hands maxWidth/maxHeight/jpegQuality to the client in the /start
+// response and rejects anything over maxBytes. A rejected frame is neither
+// sent to the model nor saved; the step goes on without it and its run log
+// entry carries the error.
+
+const IMAGE_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp"
+};
+
+export const visionSchema = {
+  type: "object",
+  properties: {
+    enabled: { type: "boolean" },
+    maxWidth: { type: "number", integer: true, min: 16 },
+    maxHeight: { type: "number", integer: true, min: 16 },
+    jpegQuality: { type: "number", integer: true, min: 1, max: 100 },
+    maxBytes: { type: "number", integer: true, min: 1024 },
+    saveFrames: { type: "boolean" }
+  }
+};
+
+export function resolveVision(raw) {
+  const value = (key, fallback) => (Number.isFinite(raw?.[key]) ? raw[key] : fallback);
+  return {
+    enabled: Boolean(raw?.enabled),
+    maxWidth: value("maxWidth", 512),
+    maxHeight: value("maxHeight", 512),
+    jpegQuality: value("jpegQuality", 70),
+    maxBytes: value("maxBytes", 300 * 1024),
+    saveFrames: raw?.saveFrames !== false
+  };
+}
+
+// What the client needs to know to capture frames.
+export function clientVisionConfig(vision) {
+  return {
+    enabled: vision.enabled,
+    maxWidth: vision.maxWidth,
+    maxHeight: vision.maxHeight,
+    jpegQuality: vision.jpegQuality
+  };
+}
+
+function sniffMimeType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return "image/png";
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+// Minimal multipart/form-data parser for /step uploads. Returns
+// { fields: { name: string }, files: { name: { data, contentType } } }.
+export function parseMultipart(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!match) throw new Error("multipart request has no boundary");
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = {};
+
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    if (buffer.toString("ascii", partStart, partStart + 2) === "--") break;
+    const next = buffer.indexOf(delimiter, partStart);
+    if (next === -1) break;
+    // Each part: CRLF, headers, CRLF CRLF, body, CRLF.
+    const part = buffer.subarray(partStart + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.toString("utf8", 0, headerEnd);
+      const body = part.subarray(headerEnd + 4);
+      const name = /name="([^"]*)"/i.exec(headers)?.[1];
+      const isFile = /filename="/i.test(headers);
+      const partType = /content-type:\s*([^\r\n;]+)/i.exec(headers)?.[1]?.trim() || null;
+      if (name && isFile) files[name] = { data: Buffer.from(body), contentType: partType };
+      else if (name) fields[name] = body.toString("utf8");
+    }
+    start = next;
+  }
+  return { fields, files };
+}
+
+// Reads the optional image of a /step request (JSON body or parsed
+// multipart). Returns null when there is none, otherwise
+// { data: Buffer, mimeType, bytes } or { error, bytes }.
+export function extractImage(body, files, vision) {
+  let data = null;
+  if (files?.image) {
+    data = files.image.data;
+  } else if (typeof body?.image === "string" && body.image) {
+    const dataUrl = /^data:[^;,]+;base64,(.*)$/s.exec(body.image);
+    data = Buffer.from(dataUrl ? dataUrl[1] : body.image, "base64");
+  }
+  if (!data) return null;
+
+  // The declared type is not trusted; the bytes decide.
+  const mimeType = sniffMimeType(data);
+  if (!mimeType) return { error: "image is not PNG, JPEG or WebP", bytes: data.length };
+  if (data.length > vision.maxBytes) {
+    return {
+      error: `image rejected: ${data.length} bytes is over vision.maxBytes (${vision.maxBytes}); the server does not ` +
+        `downscale, so capture at most ${vision.maxWidth}x${vision.maxHeight} at jpegQuality ${vision.jpegQuality} or lower`,
+      bytes: data.length
+    };
+  }
+  return { data, mimeType, bytes: data.length };
+}
+
+export function inlineImagePart(image) {
+  return { inlineData: { mimeType: image.mimeType, data: image.data.toString("base64") } };
+}
+
+export function frameFileName(step, mimeType) {
+  return `step-${String(step).padStart(4, "0")}.${IMAGE_TYPES[mimeType] || "bin"}`;
+}
+
+// Links point at GET /runs/:id/frames/:file, so they work from /report as
+// well as from /runs/:id/report.
+export function buildFramesReportSection(frames, runId) {
+  if (frames.length === 0) return "";
+  const base = `/runs/${encodeURIComponent(runId)}/frames`;
+  const lines = frames.map((frame) =>
+    `- Step ${frame.step} (${frame.reasons.join(", ")}): [${frame.file}](${base}/${encodeURIComponent(frame.file)})`);
+  return `## Frames\n${lines.join("\n")}\n\n`;
+}
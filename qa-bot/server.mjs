@@ -2,24 +2,149 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import { GoogleGenAI } from "@google/genai";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
-import YAML from "yaml";
+import { fileURLToPath } from "url";
+import { createPolicy, resolvePolicyConfig } from "./lib/policies.mjs";
+import { describeCommandRules, fallbackCommand, resolveCommandRules, validateCommand } from "./lib/commands.mjs";
+import { createPlanStats, nextPlanCommand, planInstructions, resolvePlanning, startPlan } from "./lib/plans.mjs";
+import {
+  assertionConstraintRows,
+  assertionsFailed,
+  createAssertionState,
+  evaluateAssertions,
+  finalizeAssertions,
+  summarizeAssertions
+} from "./lib/assertions.mjs";
+import {
+  abortSession,
+  controlStatus,
+  createControlState,
+  excludePausedTime,
+  nextOverrideCommand,
+  pauseSession,
+  queueOverrides,
+  resumeSession,
+  summarizeControl
+} from "./lib/control.mjs";
+import { resolveCoverage, sessionCoverage, summarizeCoverage } from "./lib/coverage.mjs";
+import {
+  clearBaseline,
+  compareToBaseline,
+  comparableMetrics,
+  readBaseline,
+  readBaselines,
+  resolveBaseline,
+  setBaseline,
+  testTrend
+} from "./lib/baselines.mjs";
+import { createEventHub } from "./lib/events.mjs";
+import { GeminiCallError, createGeminiClient, resolveGeminiClientConfig } from "./lib/gemini.mjs";
+import {
+  createFindingsState,
+  detectAnomalies,
+  resolveAnomalies,
+  summarizeFindings
+} from "./lib/findings.mjs";
+import { buildMemoryVars, createExplorationMemory, recordOutcome, recordVisit, resolveMemory } from "./lib/memory.mjs";
+import { describeObjective, isObjectiveMet, objectiveKey, observeObjective } from "./lib/objectives.mjs";
+import { parseTestSpec, SpecValidationError, TEMPLATE_VARIABLES, validateSpec } from "./lib/spec.mjs";
+import {
+  createStuckState,
+  nextRecoveryCommand,
+  resolveStuck,
+  summarizeStuck,
+  updateStuck
+} from "./lib/stuck.mjs";
+import {
+  TRIAGE_RESPONSE_SCHEMA,
+  buildTriagePrompt,
+  condenseTrajectory,
+  heuristicTriage,
+  parseTriageResponse
+} from "./lib/triage.mjs";
+import {
+  appendStepRecord,
+  initRun,
+  listRuns,
+  readRun,
+  readRunMeta,
+  readRunReport,
+  runExists,
+  runFramePath,
+  updateRunMeta,
+  writeRunFrame,
+  writeRunReport
+} from "./lib/runs.mjs";
+import {
+  compareReplayObservation,
+  createReplayState,
+  loadRecordedRun,
+  replayCommands,
+  summarizeReplay
+} from "./lib/replay.mjs";
+import {
+  budgetConstraintRows,
+  createUsageState,
+  exceededBudget,
+  loadPriceTable,
+  recordUsage,
+  summarizeUsage,
+  usageMark,
+  usageSince
+} from "./lib/usage.mjs";
+import {
+  REPORT_CONTENT_TYPES,
+  REPORT_FORMATS,
+  pickReportFormat,
+  renderReport,
+  renderReportMarkdown
+} from "./lib/report.mjs";
+import {
+  abortSuite,
+  buildSuiteJUnitXml,
+  buildSuiteReportMarkdown,
+  createSuiteRun,
+  currentSuiteItem,
+  loadSuiteSpec,
+  recordSuiteResult,
+  summarizeSuite
+} from "./lib/suites.mjs";
+import {
+  clientVisionConfig,
+  extractImage,
+  frameFileName,
+  parseMultipart,
+  resolveVision
+} from "./lib/vision.mjs";
 
-const PORT = 3000;
-const MODEL = "gemini-2.5-flash";
-const REPORT_NARRATIVE_ENABLED = process.env.REPORT_USE_GEMINI !== "0";
-const REPORT_NARRATIVE_MAX_CHARS = 800;
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(value) ? value : fallback;
+}
+
+const PORT = envNumber("PORT", 3000);
+const MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+const REPORT_TRIAGE_ENABLED = process.env.REPORT_USE_GEMINI !== "0";
 const DEFAULT_TEST = "find_one_chest";
-const POS_EPS = 0.01;
-const YAW_EPS = 0.5;
-const FALL_Y = -1;
-const OBJECTIVE_TIME_LIMIT_SEC = 5;
-const MAX_OBJECTIVE_ATTEMPTS = 5;
+const TESTS_DIR = process.env.TESTS_DIR ? path.resolve(process.env.TESTS_DIR) : path.join(process.cwd(), "tests");
+const SUITES_DIR = path.join(TESTS_DIR, "suites");
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "public");
+const RUNS_DIR = process.env.RUNS_DIR ? path.resolve(process.env.RUNS_DIR) : path.join(process.cwd(), "runs");
+// Server-wide defaults; each spec can override them (see normalizeTestSpec).
+const POS_EPS = envNumber("POS_EPS", 0.01);
+const YAW_EPS = envNumber("YAW_EPS", 0.5);
+const FALL_Y = envNumber("FALL_Y", -1);
+const OBJECTIVE_TIME_LIMIT_SEC = envNumber("OBJECTIVE_TIME_LIMIT_SEC", 5);
+const MAX_OBJECTIVE_ATTEMPTS = envNumber("MAX_OBJECTIVE_ATTEMPTS", 5);
+const REPLAY_POSITION_TOLERANCE = envNumber("REPLAY_POSITION_TOLERANCE", 0.5);
+const REPLAY_YAW_TOLERANCE = envNumber("REPLAY_YAW_TOLERANCE", 5);
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: "1mb" }));
+// Screenshots make /step bodies large; lib/vision.mjs enforces the per-spec limit.
+app.use(express.json({ limit: "10mb" }));
 
 const apiKey = process.env.GEMINI_API_KEY;
 if (!apiKey) {
@@ -27,60 +152,386 @@ if (!apiKey) {
 }
 
 const genAI = new GoogleGenAI({ apiKey });
+const gemini = createGeminiClient(genAI, resolveGeminiClientConfig());
+const PRICES = loadPriceTable(process.env.GEMINI_PRICES_FILE);
+
+const SESSION_IDLE_TTL_MS = Number(process.env.SESSION_IDLE_TTL_MS) || 30 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sessions = new Map();
+const suites = new Map();
+const events = createEventHub();
+let defaultSessionId = null;
+
+function createSession(testSpec, { suiteId = null, replayOf = null } = {}) {
+  const now = new Date();
+  const session = {
+    id: crypto.randomUUID(),
+    suiteId,
+    activeTest: testSpec,
+    policy: createPolicy(testSpec.policy, { gemini, model: MODEL, baseDir: TESTS_DIR }),
+    stepsTaken: 0,
+    idleSteps: 0,
+    lastPosition: null,
+    lastYaw: null,
+    lastObservation: null,
+    clockSec: null,
+    // Clock advance between the last two counted steps.
+    clockStepSec: 0,
+    firstClockSec: null,
+    chestsFound: 0,
+    totalChests: 0,
+    history: [],
+    exploration: createExplorationMemory(),
+    commandStats: { valid: 0, invalid: 0, clamped: 0, retried: 0, recovered: 0, fallback: 0 },
+    fallbackReasons: {},
+    modelStats: { requests: 0, cached: 0, attempts: 0, retries: 0, waitedMs: 0, errors: {} },
+    usage: createUsageState(),
+    budgetExceeded: null,
+    invalidCommands: [],
+    policyCalls: 0,
+    plan: null,
+    planStats: createPlanStats(),
+    stuck: createStuckState(testSpec.stuck.seed ?? testSpec.policy.seed),
+    findings: createFindingsState(),
+    assertions: createAssertionState(testSpec.assertions),
+    control: createControlState(),
+    nextSessionId: null,
+    lastImage: null,
+    frames: [],
+    done: false,
+    doneReason: null,
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    reportCache: null,
+    baselineDiff: null,
+    lastSeenAtMs: now.getTime(),
+    objectiveIndex: 0,
+    objectiveAttempts: 0,
+    objectiveStartedAtSec: null,
+    objectiveAttemptCounts: {},
+    objectiveResults: [],
+    objectiveState: {},
+    publishedObjectiveResults: 0,
+    lastNote: ""
+  };
+  sessions.set(session.id, session);
+  persistRun(session, "init", () => initRun(RUNS_DIR, {
+    id: session.id,
+    test: testSpec.name,
+    suiteId,
+    replayOf,
+    policy: session.policy.name,
+    startedAt: session.startedAt
+  }, testSpec));
+  events.publish("session", sessionSnapshot(session));
+  return session;
+}
+
+// Run artifacts are best-effort: a full disk must not break a live run.
+function persistRun(session, action, fn) {
+  try {
+    fn();
+  } catch (err) {
+    console.warn(`[qa-bot] run ${action} failed:`, { runId: session.id, error: err?.message || err });
+  }
+}
 
-const session = {
-  activeTest: null,
-  stepsTaken: 0,
-  idleSteps: 0,
-  lastPosition: null,
-  lastYaw: null,
-  chestsFound: 0,
-  totalChests: 0,
-  history: [],
-  done: false,
-  doneReason: null,
-  startedAt: null,
-  objectiveIndex: 0,
-  objectiveAttempts: 0,
-  objectiveStartedAtMs: null,
-  objectiveResults: []
-};
-
-function resetSession(testSpec) {
-  session.activeTest = testSpec;
-  session.stepsTaken = 0;
-  session.idleSteps = 0;
-  session.lastPosition = null;
-  session.lastYaw = null;
-  session.chestsFound = 0;
-  session.totalChests = 0;
-  session.history = [];
-  session.done = false;
-  session.doneReason = null;
-  session.startedAt = new Date().toISOString();
-  session.objectiveIndex = 0;
-  session.objectiveAttempts = 0;
-  session.objectiveStartedAtMs = Date.now();
-  session.objectiveResults = [];
+function runMetaPatch(session) {
+  return {
+    status: session.done ? runStatus(session) : "incomplete",
+    doneReason: session.doneReason,
+    finishedAt: session.finishedAt,
+    stepsTaken: session.stepsTaken,
+    chestsFound: session.chestsFound,
+    totalChests: session.totalChests,
+    coveragePercent: sessionCoverage(session).percent,
+    totalTokens: session.usage.totalTokens,
+    cost: summarizeUsage(session.usage).cost,
+    replayMatched: session.replay ? summarizeReplay(session.replay).matched : undefined,
+    metrics: session.done ? runMetrics(session) : undefined
+  };
+}
+
+// Game time when the client reports a clock, wall time otherwise.
+function runDurationSec(session) {
+  if (Number.isFinite(session.firstClockSec)) return session.clockSec - session.firstClockSec;
+  return session.startedAt ? (Date.now() - new Date(session.startedAt).getTime()) / 1000 : null;
+}
+
+// What lib/baselines.mjs compares between runs of a test.
+function runMetrics(session) {
+  return comparableMetrics({
+    stepsTaken: session.stepsTaken,
+    chestsFound: session.chestsFound,
+    totalChests: session.totalChests,
+    durationSec: runDurationSec(session),
+    coveragePercent: sessionCoverage(session).percent,
+    fallbacks: session.commandStats.fallback,
+    findings: summarizeFindings(session.findings, session.history)
+  });
+}
+
+// Diff against the test's baseline, kept on the session for runStatus.
+function diffAgainstBaseline(session, metrics = runMetrics(session)) {
+  const spec = session.activeTest;
+  const baseline = readBaseline(RUNS_DIR, spec.name);
+  session.baselineDiff = baseline ? compareToBaseline(baseline, metrics, spec.baseline.thresholds) : null;
+  return session.baselineDiff;
+}
+
+// The baseline diff and the pass-rate trend of the test's recent runs, this
+// one included once finished.
+function compareRun(session) {
+  const spec = session.activeTest;
+  const metrics = runMetrics(session);
+  diffAgainstBaseline(session, metrics);
+  const metas = listRuns(RUNS_DIR, { test: spec.name }).filter((m) => m.id !== session.id);
+  if (session.done) {
+    metas.push({ id: session.id, status: runStatus(session), startedAt: session.startedAt, metrics });
+  }
+  return { diff: session.baselineDiff, trend: testTrend(metas, spec.baseline.window) };
+}
+
+function recordStep(session, record) {
+  persistRun(session, "step", () => appendStepRecord(RUNS_DIR, session.id, { step: session.stepsTaken, ...record }));
+  publishStep(session, record);
+}
+
+function progressSnapshot(session) {
+  const spec = session.activeTest;
+  const current = getCurrentObjective(session);
+  return {
+    stepsTaken: session.stepsTaken,
+    maxSteps: spec.maxSteps,
+    idleSteps: session.idleSteps,
+    maxIdleSteps: Number.isFinite(spec.constraints.maxIdleSteps) ? spec.constraints.maxIdleSteps : null,
+    chestsFound: session.chestsFound,
+    totalChests: session.totalChests,
+    objectivesCompleted: session.objectiveIndex,
+    objectivesTotal: spec.objectives.length,
+    currentObjective: current ? objectiveKey(current, session.objectiveIndex) : null
+  };
+}
+
+const SNAPSHOT_MAX_POINTS = 2000;
+
+// Session state for dashboards that connect mid-run.
+function sessionSnapshot(session) {
+  return {
+    sessionId: session.id,
+    suiteId: session.suiteId,
+    test: session.activeTest.name,
+    policy: session.policy.name,
+    startedAt: session.startedAt,
+    done: session.done,
+    doneReason: session.doneReason,
+    paused: session.control.paused,
+    lastNote: session.lastNote,
+    trajectory: session.history.slice(-SNAPSHOT_MAX_POINTS).map((entry) => ({
+      step: entry.step,
+      x: entry.position.x,
+      z: entry.position.z
+    })),
+    progress: progressSnapshot(session)
+  };
+}
+
+function stepSource(record) {
+  if (record.fromOverride) return "override";
+  if (record.fromRecovery) return "recovery";
+  return record.fromPlan ? "plan" : "policy";
+}
+
+function publishStep(session, record) {
+  const objectiveResults = session.objectiveResults.slice(session.publishedObjectiveResults);
+  session.publishedObjectiveResults = session.objectiveResults.length;
+  if (record.note) session.lastNote = record.note;
+  events.publish(record.done ? "done" : "step", {
+    sessionId: session.id,
+    suiteId: session.suiteId,
+    test: session.activeTest.name,
+    step: session.stepsTaken,
+    time: record.time,
+    observation: record.observation,
+    command: record.command,
+    note: record.note,
+    latencyMs: record.latencyMs ?? null,
+    source: stepSource(record),
+    objectiveResults,
+    status: record.done ? runStatus(session) : null,
+    doneReason: session.doneReason,
+    progress: progressSnapshot(session)
+  });
+}
+
+// Keeps the current step's screenshot in the run's frames/ directory; a
+// frame saved for several reasons is written once.
+function saveFrame(session, reason) {
+  const image = session.lastImage;
+  if (!image || image.step !== session.stepsTaken || !session.activeTest.vision.saveFrames) return;
+  const existing = session.frames.find((frame) => frame.step === image.step);
+  if (existing) {
+    if (!existing.reasons.includes(reason)) existing.reasons.push(reason);
+    return;
+  }
+  const file = frameFileName(image.step, image.mimeType);
+  session.frames.push({ step: image.step, file, reasons: [reason] });
+  persistRun(session, "frame", () => writeRunFrame(RUNS_DIR, session.id, file, image.data));
+}
+
+function finishRun(session) {
+  if (session.finishedAt) return;
+  session.finishedAt = new Date().toISOString();
+  finalizeAssertions(session);
+  // runStatus reads the diff, so the saved status matches the report's.
+  diffAgainstBaseline(session);
+  persistRun(session, "finish", () => updateRunMeta(RUNS_DIR, session.id, runMetaPatch(session)));
+  getReport(session).catch((err) => {
+    console.warn("[qa-bot] report generation failed:", err?.message || err);
+  });
+}
+
+function deleteSession(id) {
+  if (!sessions.delete(id)) return false;
+  if (defaultSessionId === id) defaultSessionId = null;
+  return true;
+}
+
+function sweepIdleSessions() {
+  const cutoff = Date.now() - SESSION_IDLE_TTL_MS;
+  for (const [id, session] of sessions) {
+    if (session.lastSeenAtMs < cutoff) {
+      deleteSession(id);
+      console.log("[QA-BOT] session expired", { sessionId: id, test: session.activeTest?.name });
+    }
+  }
+  for (const [id, suite] of suites) {
+    if (suite.lastSeenAtMs < cutoff) {
+      suites.delete(id);
+      console.log("[QA-BOT] suite expired", { suiteId: id, suite: suite.spec.name });
+    }
+  }
+}
+
+// Replays a recorded run's spec and command sequence instead of asking the policy.
+function startReplay(runId, tolerance = {}) {
+  const recorded = loadRecordedRun(RUNS_DIR, runId);
+  // Runs recorded before a spec block existed get its defaults.
+  const spec = {
+    ...recorded.spec,
+    planning: resolvePlanning(recorded.spec.planning),
+    memory: resolveMemory(recorded.spec.memory),
+    coverage: resolveCoverage(recorded.spec.coverage),
+    // Recovery commands the recorded run received are part of its commands.
+    stuck: { ...resolveStuck(recorded.spec.stuck), enabled: false },
+    anomalies: resolveAnomalies(recorded.spec.anomalies),
+    vision: resolveVision(recorded.spec.vision),
+    baseline: resolveBaseline(recorded.spec.baseline),
+    policy: { type: "replay", commands: replayCommands(recorded) }
+  };
+  const session = createSession(spec, { replayOf: runId });
+  session.replay = createReplayState(recorded, {
+    position: Number.isFinite(tolerance.position) ? tolerance.position : REPLAY_POSITION_TOLERANCE,
+    yaw: Number.isFinite(tolerance.yaw) ? tolerance.yaw : REPLAY_YAW_TOLERANCE
+  });
+  return session;
+}
+
+function startSuite(suiteName) {
+  const suiteSpec = loadSuiteSpec(suiteName, SUITES_DIR);
+  // Load every spec up front so a typo fails /start instead of mid-suite.
+  for (const entry of suiteSpec.tests) loadTestSpec(entry.test);
+
+  const suite = createSuiteRun(crypto.randomUUID(), suiteSpec);
+  suites.set(suite.id, suite);
+  const session = createSession(loadTestSpec(currentSuiteItem(suite).test), { suiteId: suite.id });
+  return { suite, session };
+}
+
+// Records a finished suite session and starts the next queued spec.
+// Returns the new session, or null when the suite is complete.
+function advanceSuite(session) {
+  const suite = session.suiteId ? suites.get(session.suiteId) : null;
+  if (!suite || session.suiteRecorded) return null;
+  session.suiteRecorded = true;
+
+  let result = {
+    sessionId: session.id,
+    status: runStatus(session),
+    doneReason: session.doneReason,
+    stepsTaken: session.stepsTaken,
+    chestsFound: session.chestsFound,
+    totalChests: session.totalChests,
+    durationSec: (Date.now() - new Date(session.startedAt).getTime()) / 1000,
+    usage: summarizeUsage(session.usage)
+  };
+  for (;;) {
+    const nextItem = recordSuiteResult(suite, result);
+    if (!nextItem) {
+      console.log("[QA-BOT] suite complete", { suiteId: suite.id, suite: suite.spec.name });
+      return null;
+    }
+    try {
+      const next = createSession(loadTestSpec(nextItem.test), { suiteId: suite.id });
+      if (defaultSessionId === session.id) defaultSessionId = next.id;
+      console.log("[QA-BOT] suite next", { suiteId: suite.id, test: nextItem.test, iteration: nextItem.iteration });
+      return next;
+    } catch (err) {
+      console.warn("[qa-bot] suite spec error:", err?.message || err);
+      result = { sessionId: null, status: "FAIL", doneReason: "specError", stepsTaken: 0, durationSec: 0 };
+    }
+  }
 }
 
+setInterval(sweepIdleSessions, SESSION_SWEEP_INTERVAL_MS).unref();
+
 function loadTestSpec(name) {
-  const testsDir = path.join(process.cwd(), "tests");
-  const filePath = path.join(testsDir, `${name}.yaml`);
+  const filePath = path.join(TESTS_DIR, `${name}.yaml`);
   if (!fs.existsSync(filePath)) {
     throw new Error(`Test spec not found: ${filePath}`);
   }
 
-  const raw = fs.readFileSync(filePath, "utf8");
-  const data = YAML.parse(raw);
+  const data = parseTestSpec(fs.readFileSync(filePath, "utf8"), name);
+  const errors = validateSpec(data, { templateVariables: TEMPLATE_VARIABLES });
+  if (errors.length > 0) {
+    throw new SpecValidationError(name, errors);
+  }
+  return normalizeTestSpec(data, name);
+}
 
+function normalizeTestSpec(data, name) {
+  const constraints = data.constraints || {};
   return {
     name: data.name || name,
     description: data.description || "",
     maxSteps: Number.isFinite(data.maxSteps) ? data.maxSteps : 100,
+    maxTokens: Number.isFinite(data.maxTokens) ? data.maxTokens : null,
+    maxCost: Number.isFinite(data.maxCost) ? data.maxCost : null,
+    objectiveTimeLimitSec: Number.isFinite(data.objectiveTimeLimitSec)
+      ? data.objectiveTimeLimitSec
+      : OBJECTIVE_TIME_LIMIT_SEC,
+    maxObjectiveAttempts: Number.isFinite(data.maxObjectiveAttempts)
+      ? data.maxObjectiveAttempts
+      : MAX_OBJECTIVE_ATTEMPTS,
     objectives: Array.isArray(data.objectives) ? data.objectives : [],
-    constraints: data.constraints || {},
-    prompt: data.prompt || { system: "", userTemplate: "" }
+    assertions: Array.isArray(data.assertions) ? data.assertions : [],
+    constraints: {
+      ...constraints,
+      fallY: Number.isFinite(constraints.fallY) ? constraints.fallY : FALL_Y,
+      idlePositionEps: Number.isFinite(constraints.idlePositionEps) ? constraints.idlePositionEps : POS_EPS,
+      idleYawEps: Number.isFinite(constraints.idleYawEps) ? constraints.idleYawEps : YAW_EPS
+    },
+    prompt: data.prompt || { system: "", userTemplate: "" },
+    policy: resolvePolicyConfig(data.policy),
+    commandRules: resolveCommandRules(data),
+    planning: resolvePlanning(data.planning),
+    memory: resolveMemory(data.memory),
+    coverage: resolveCoverage(data.coverage),
+    stuck: resolveStuck(data.stuck),
+    anomalies: resolveAnomalies(data.anomalies),
+    vision: resolveVision(data.vision),
+    baseline: resolveBaseline(data.baseline)
   };
 }
 
@@ -101,11 +552,41 @@ function fillTemplate(template, vars) {
   });
 }
 
-function ensureActiveTest() {
-  if (session.activeTest) return;
-  const spec = loadTestSpec(DEFAULT_TEST);
-  resetSession(spec);
-  console.log("[QA-BOT] auto-loaded test", spec.name);
+function requestedSessionId(req) {
+  return req.params?.id
+    || req.get("X-Session-Id")
+    || req.body?.sessionId
+    || req.query?.sessionId
+    || null;
+}
+
+// Clients that predate session IDs send none; they share the most recently
+// started session, which is auto-created from DEFAULT_TEST if needed.
+function resolveSession(req) {
+  const id = requestedSessionId(req);
+  let session = id ? sessions.get(id) : sessions.get(defaultSessionId);
+  if (!session) {
+    if (id) return null;
+    const spec = loadTestSpec(DEFAULT_TEST);
+    session = createSession(spec);
+    defaultSessionId = session.id;
+    console.log("[QA-BOT] auto-loaded test", spec.name, { sessionId: session.id });
+  }
+  session.lastSeenAtMs = Date.now();
+  const suite = session.suiteId ? suites.get(session.suiteId) : null;
+  if (suite) suite.lastSeenAtMs = session.lastSeenAtMs;
+  return session;
+}
+
+// Control endpoints act on an existing session only; they never auto-create one.
+function findSession(req) {
+  const id = requestedSessionId(req);
+  return sessions.get(id || defaultSessionId) || null;
+}
+
+function sessionNotFound(req, res) {
+  const sessionId = requestedSessionId(req);
+  res.status(404).json({ ok: false, error: `Session not found: ${sessionId}`, sessionId });
 }
 
 function parseObservation(reqBody) {
@@ -118,27 +599,29 @@ function parseObservation(reqBody) {
 }
 
 function extractObservationFields(observationJson) {
-  const obs = safeJsonParse(observationJson) || {};
+  const parsed = safeJsonParse(observationJson);
+  const obs = parsed || {};
   const position = obs.position || { x: 0, y: 0, z: 0 };
   const yaw = Number.isFinite(obs.yaw) ? obs.yaw : 0;
   const foundChests = Number.isFinite(obs.chestsFound)
     ? obs.chestsFound
     : (Number.isFinite(obs.foundChests) ? obs.foundChests : 0);
   const totalChests = Number.isFinite(obs.totalChests) ? obs.totalChests : 0;
-  return { position, yaw, foundChests, totalChests };
+  return { obs, parsed: parsed !== null, position, yaw, foundChests, totalChests };
 }
 
-function isIdle(pos, yaw) {
+function isIdle(session, pos, yaw) {
   if (!session.lastPosition || session.lastYaw === null) return false;
   const dx = Math.abs(pos.x - session.lastPosition.x);
   const dy = Math.abs(pos.y - session.lastPosition.y);
   const dz = Math.abs(pos.z - session.lastPosition.z);
   const dyaw = Math.abs(yaw - session.lastYaw);
-  return dx < POS_EPS && dy < POS_EPS && dz < POS_EPS && dyaw < YAW_EPS;
+  const { idlePositionEps, idleYawEps } = session.activeTest.constraints;
+  return dx < idlePositionEps && dy < idlePositionEps && dz < idlePositionEps && dyaw < idleYawEps;
 }
 
-function updateIdle(pos, yaw) {
-  if (isIdle(pos, yaw)) {
+function updateIdle(session, pos, yaw) {
+  if (isIdle(session, pos, yaw)) {
     session.idleSteps += 1;
   } else {
     session.idleSteps = 0;
@@ -147,67 +630,110 @@ function updateIdle(pos, yaw) {
   session.lastYaw = yaw;
 }
 
-function getCurrentObjective() {
+function getCurrentObjective(session) {
   const objectives = session.activeTest?.objectives || [];
   if (session.objectiveIndex >= objectives.length) return null;
   return objectives[session.objectiveIndex];
 }
 
-function isObjectiveMet(obj) {
-  if (!obj || !obj.type) return false;
-  if (obj.type === "chest_count_at_least") {
-    const min = Number.isFinite(obj.minimum) ? obj.minimum : 1;
-    return session.chestsFound >= min;
-  }
-  return false;
+function objectiveContext(session, key) {
+  session.objectiveState[key] = session.objectiveState[key] || {};
+  return {
+    session,
+    observation: session.lastObservation,
+    position: session.lastPosition,
+    state: session.objectiveState[key]
+  };
+}
+
+function observeObjectives(session) {
+  const objectives = session.activeTest?.objectives || [];
+  objectives.forEach((obj, idx) => observeObjective(obj, objectiveContext(session, objectiveKey(obj, idx))));
 }
 
-function recordObjectiveResult(obj, status, elapsedSec) {
+function recordObjectiveResult(session, obj, status, elapsedSec) {
   session.objectiveResults.push({
-    id: obj?.id || `objective_${session.objectiveIndex + 1}`,
+    id: objectiveKey(obj, session.objectiveIndex),
     type: obj?.type || "unknown",
     status,
     elapsedSec: Number.isFinite(elapsedSec) ? Number(elapsedSec.toFixed(2)) : null
   });
 }
 
-function evaluateDone(positionY) {
-  if (!session.activeTest) return;
+// Unity reports `time` as game seconds, so objective budgets aren't consumed
+// by model latency or a paused editor. Clients without it fall back to wall time.
+function observationClockSec(obs) {
+  return Number.isFinite(obs?.time) ? obs.time : Date.now() / 1000;
+}
 
+function objectiveAttemptsExhausted(session, obj, index) {
+  const used = session.objectiveAttemptCounts[objectiveKey(obj, index)] || 0;
+  return Number.isFinite(obj?.maxAttempts) && used >= obj.maxAttempts;
+}
+
+// Moves to the next objective (wrapping around) that still has attempts left.
+// Returns false once every objective has used up its own maxAttempts.
+function advanceObjective(session, nowSec) {
   const objectives = session.activeTest.objectives || [];
+  for (let i = 1; i <= objectives.length; i++) {
+    const idx = (session.objectiveIndex + i) % objectives.length;
+    if (!objectiveAttemptsExhausted(session, objectives[idx], idx)) {
+      session.objectiveIndex = idx;
+      session.objectiveStartedAtSec = nowSec;
+      return true;
+    }
+  }
+  session.objectiveIndex = objectives.length;
+  return false;
+}
+
+function evaluateDone(session, positionY) {
+  if (!session.activeTest) return;
+
+  const failedAssertion = evaluateAssertions(session);
+  if (failedAssertion) {
+    session.done = true;
+    session.doneReason = `assertionFailed:${failedAssertion.name}`;
+    return;
+  }
+
+  const spec = session.activeTest;
+  // Checked before the next model call, so a run stops at most one call over.
+  const budget = exceededBudget(session.usage, spec);
+  if (budget) {
+    session.done = true;
+    session.doneReason = "budgetExceeded";
+    session.budgetExceeded = budget;
+    return;
+  }
+
+  const objectives = spec.objectives || [];
   if (objectives.length > 0) {
-    if (!session.objectiveStartedAtMs) {
-      session.objectiveStartedAtMs = Date.now();
+    const nowSec = session.clockSec;
+    if (!Number.isFinite(session.objectiveStartedAtSec)) {
+      session.objectiveStartedAtSec = nowSec;
     }
 
-    const current = getCurrentObjective();
+    const current = getCurrentObjective(session);
     if (current) {
-      const elapsedSec = (Date.now() - session.objectiveStartedAtMs) / 1000;
-      const met = isObjectiveMet(current);
+      const elapsedSec = nowSec - session.objectiveStartedAtSec;
+      const key = objectiveKey(current, session.objectiveIndex);
+      const met = isObjectiveMet(current, objectiveContext(session, key));
+      const timeLimitSec = Number.isFinite(current.timeLimitSec) ? current.timeLimitSec : spec.objectiveTimeLimitSec;
 
-      if (met) {
-        recordObjectiveResult(current, "success", elapsedSec);
-        session.objectiveAttempts += 1;
-        session.objectiveIndex += 1;
-        session.objectiveStartedAtMs = Date.now();
-      } else if (elapsedSec >= OBJECTIVE_TIME_LIMIT_SEC) {
-        recordObjectiveResult(current, "timeout", elapsedSec);
+      if (met || elapsedSec >= timeLimitSec) {
+        recordObjectiveResult(session, current, met ? "success" : "timeout", elapsedSec);
         session.objectiveAttempts += 1;
-        session.objectiveIndex += 1;
-        session.objectiveStartedAtMs = Date.now();
+        session.objectiveAttemptCounts[key] = (session.objectiveAttemptCounts[key] || 0) + 1;
+        advanceObjective(session, nowSec);
       }
     }
 
-    if (session.objectiveAttempts >= MAX_OBJECTIVE_ATTEMPTS) {
+    if (session.objectiveAttempts >= spec.maxObjectiveAttempts || !getCurrentObjective(session)) {
       session.done = true;
       session.doneReason = "attemptsComplete";
       return;
     }
-
-    if (session.objectiveIndex >= objectives.length) {
-      session.objectiveIndex = 0;
-      session.objectiveStartedAtMs = Date.now();
-    }
   }
 
   const constraints = session.activeTest.constraints || {};
@@ -223,15 +749,37 @@ function evaluateDone(positionY) {
     return;
   }
 
-  if (constraints.avoidFalling && positionY < FALL_Y) {
+  if (constraints.avoidFalling && positionY < constraints.fallY) {
     session.done = true;
     session.doneReason = "fellOutOfLevel";
   }
 }
 
-async function generateStepCommand(observationJson) {
+async function generateStepCommand(session, observationJson) {
   const spec = session.activeTest;
-  const vars = {
+  const override = nextOverrideCommand(session);
+  if (override) {
+    session.commandStats.valid += 1;
+    if (override.validation.clamped) session.commandStats.clamped += 1;
+    return { ...override, prompt: null };
+  }
+
+  const recovery = nextRecoveryCommand(session);
+  if (recovery) {
+    session.commandStats.valid += 1;
+    return { ...recovery, prompt: null };
+  }
+
+  const planned = nextPlanCommand(session, spec.commandRules);
+  if (planned?.invalid) {
+    recordInvalidCommand(session, planned.invalid.raw, planned.invalid.error);
+  } else if (planned) {
+    session.commandStats.valid += 1;
+    if (planned.validation.clamped) session.commandStats.clamped += 1;
+    return { ...planned, prompt: null };
+  }
+
+  const baseVars = {
     observationJson,
     testName: spec.name,
     description: spec.description,
@@ -244,34 +792,132 @@ async function generateStepCommand(observationJson) {
 
   const system = spec.prompt?.system || "";
   const userTemplate = spec.prompt?.userTemplate || "";
+  // Exploration memory shrinks (smaller map, fewer actions) to keep the
+  // prompt under memory.maxPromptChars; the other variables are never cut.
+  const vars = {
+    ...baseVars,
+    ...buildMemoryVars(session, spec.memory, (memoryVars) =>
+      system.length + fillTemplate(userTemplate, { ...baseVars, ...memoryVars }).length <= spec.memory.maxPromptChars)
+  };
   const user = fillTemplate(userTemplate, vars);
-  const combined = `${system}\n\n${user}`;
-
-  const response = await genAI.models.generateContent({
-    model: MODEL,
-    contents: [{ role: "user", parts: [{ text: combined }] }],
-    config: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "object",
-        properties: {
-          command: { type: "string" },
-          note: { type: "string" }
-        },
-        required: ["command", "note"]
+  let combined = `${system}\n\n${user}`;
+  const image = spec.vision.enabled && session.lastImage?.step === session.stepsTaken ? session.lastImage : null;
+  if (image) {
+    combined += "\n\nA screenshot of the bot's current view is attached.";
+  }
+  if (spec.planning.enabled) {
+    combined += `\n\n${planInstructions(spec.planning)}`;
+  }
+
+  const ctx = {
+    prompt: combined,
+    observationJson,
+    observation: safeJsonParse(observationJson) || {},
+    allowPlan: spec.planning.enabled,
+    image,
+    session
+  };
+  const decision = await callPolicy(session, ctx);
+  if (decision.modelError) {
+    return { ...fallbackDecision(session, `model ${decision.modelError}`), prompt: combined, imageSent: Boolean(image) };
+  }
+  const result = await enforceCommandRules(session, ctx, decision);
+  if (spec.planning.enabled && !result.fallback) {
+    startPlan(session, result, spec.planning);
+  }
+  return { ...result, prompt: combined, imageSent: Boolean(image) };
+}
+
+// Model failures that outlast the client's retries come back as a decision
+// with `modelError` so the step can fall back instead of failing.
+async function callPolicy(session, ctx) {
+  session.policyCalls += 1;
+  try {
+    const decision = await session.policy.decide(ctx);
+    if (decision.call) {
+      recordModelCall(session, decision.call);
+      recordUsage(session.usage, { kind: "step", ...decision.call }, PRICES);
+    }
+    return decision;
+  } catch (err) {
+    if (!(err instanceof GeminiCallError)) throw err;
+    recordModelCall(session, { attempts: err.attempts, error: err.reason });
+    console.warn("[qa-bot] model call failed:", { sessionId: session.id, reason: err.reason, status: err.status, error: err.message });
+    return { command: null, note: `model ${err.reason}`, modelError: err.reason, raw: null };
+  }
+}
+
+function recordModelCall(session, { attempts = 0, cached = false, waitedMs = 0, error = null }) {
+  const stats = session.modelStats;
+  stats.requests += 1;
+  if (cached) stats.cached += 1;
+  stats.attempts += attempts;
+  stats.retries += Math.max(0, attempts - 1);
+  stats.waitedMs += waitedMs;
+  if (error) stats.errors[error] = (stats.errors[error] || 0) + 1;
+}
+
+function recordFallback(session, reason) {
+  session.commandStats.fallback += 1;
+  session.fallbackReasons[reason] = (session.fallbackReasons[reason] || 0) + 1;
+}
+
+function fallbackDecision(session, reason) {
+  recordFallback(session, reason);
+  return { command: fallbackCommand(session.activeTest.commandRules), note: `fallback: ${reason}`, fallback: true };
+}
+
+function recordInvalidCommand(session, raw, error) {
+  session.commandStats.invalid += 1;
+  session.invalidCommands.push({ step: session.stepsTaken, raw, error });
+  if (session.invalidCommands.length > 20) session.invalidCommands.shift();
+}
+
+// Checks a decision against the spec's command grammar and limits. Model
+// policies get one retry with the error as a hint; otherwise a safe fallback
+// is issued. Non-model policies may return "" to mean "no command".
+async function enforceCommandRules(session, ctx, decision) {
+  const rules = session.activeTest.commandRules;
+  const stats = session.commandStats;
+  if (decision.command === "" && !session.policy.retryable) return decision;
+
+  let check = validateCommand(decision.command, rules);
+  const validation = { raw: decision.command ?? null };
+  if (!check.ok) {
+    recordInvalidCommand(session, decision.command, check.error);
+    validation.error = check.error;
+
+    if (session.policy.retryable) {
+      stats.retried += 1;
+      const hint = `Your previous reply ${JSON.stringify(decision.raw ?? decision.command ?? "")} was rejected: ${check.error}.\n` +
+        `Allowed commands: ${describeCommandRules(rules)}.\n` +
+        `Reply again with one valid command as JSON: {"command":"...","note":"short reason"}`;
+      decision = { ...(await callPolicy(session, { ...ctx, prompt: `${ctx.prompt}\n\n${hint}` })), retried: true };
+      check = validateCommand(decision.command, rules);
+      validation.retryRaw = decision.command ?? null;
+      if (check.ok) {
+        stats.recovered += 1;
+      } else {
+        recordInvalidCommand(session, decision.command, check.error);
+        validation.retryError = check.error;
       }
     }
-  });
+  }
+
+  if (!check.ok) {
+    recordFallback(session, decision.modelError ? `model ${decision.modelError}` : "invalid command");
+    return { ...decision, command: fallbackCommand(rules), note: `fallback: ${check.error}`, fallback: true, validation };
+  }
 
-  const text = response.text;
-  const parsed = safeJsonParse(text);
-  if (!parsed || typeof parsed.command !== "string") {
-    return { command: "move_fwd:0.5", note: "fallback: invalid model response" };
+  stats.valid += 1;
+  if (check.clamped) {
+    stats.clamped += 1;
+    validation.clamped = true;
   }
-  return parsed;
+  return { ...decision, command: check.command, validation };
 }
 
-function countCommands() {
+function countCommands(session) {
   const counts = {};
   for (const entry of session.history) {
     const cmd = entry.commandIssued || "";
@@ -282,290 +928,794 @@ function countCommands() {
   return counts;
 }
 
-function formatDurationMs(ms) {
-  if (!Number.isFinite(ms) || ms < 0) return "n/a";
-  const totalSec = Math.round(ms / 1000);
-  const mins = Math.floor(totalSec / 60);
-  const secs = totalSec % 60;
-  if (mins <= 0) return `${secs}s`;
-  return `${mins}m ${secs}s`;
-}
-
-function formatCheckbox(ok) {
-  return ok ? "x" : " ";
+// Suspected issues for the report from Gemini, or from the heuristic triage
+// with a label saying why when the model is off or its reply is unusable.
+function heuristicTriageResult(label, context) {
+  return { source: "heuristic", label, model: null, issues: heuristicTriage(context) };
 }
 
-async function generateReportNarrative(context) {
-  if (!REPORT_NARRATIVE_ENABLED) return "";
-  if (!apiKey) return "Gemini narrative unavailable: GEMINI_API_KEY is not set.";
+async function generateTriage(session, context) {
+  const heuristic = (label) => heuristicTriageResult(label, context);
+  if (!REPORT_TRIAGE_ENABLED) return heuristic("heuristic (model off: REPORT_USE_GEMINI=0)");
+  if (!apiKey) return heuristic("heuristic (model off: GEMINI_API_KEY is not set)");
 
-  const prompt = [
-    "You are generating a concise QA report narrative.",
-    "Write 4-7 bullet points max. Be factual, no speculation.",
-    "If data is missing, say 'n/a' for that detail.",
-    "Focus on outcomes, constraints, and behavior.",
-    "",
-    "Context (JSON):",
-    JSON.stringify(context)
-  ].join("\n");
+  const spec = session.activeTest;
+  const prompt = buildTriagePrompt({
+    testName: spec.name,
+    description: spec.description || null,
+    policy: session.policy?.name || null,
+    allowedCommands: describeCommandRules(spec.commandRules),
+    doneReason: session.doneReason,
+    stepsTaken: session.stepsTaken,
+    chestsFound: session.chestsFound,
+    totalChests: session.totalChests,
+    findings: context.findings,
+    stuckEpisodes: context.stuckEpisodes,
+    trajectory: condenseTrajectory(session.history, context)
+  });
 
   try {
-    const response = await genAI.models.generateContent({
+    const response = await gemini.generateContent({
       model: MODEL,
-      contents: [{ role: "user", parts: [{ text: prompt }] }]
+      contents: [{ role: "user", parts: [{ text: prompt }] }],
+      config: { responseMimeType: "application/json", responseSchema: TRIAGE_RESPONSE_SCHEMA }
     });
-    const text = (response?.text || "").trim();
-    if (!text) return "Gemini narrative unavailable: empty response.";
-    return text.slice(0, REPORT_NARRATIVE_MAX_CHARS);
+    recordUsage(session.usage, { kind: "triage", model: MODEL, ...response }, PRICES);
+    const issues = parseTriageResponse(response?.text || "", { history: session.history, commandRules: spec.commandRules });
+    if (!issues) return heuristic("heuristic (Gemini reply did not match the triage schema)");
+    return { source: "gemini", label: `Gemini (${MODEL})`, model: MODEL, issues };
   } catch (err) {
-    console.warn("[qa-bot] narrative generation failed:", err?.message || err);
-    return "Gemini narrative unavailable: request failed.";
+    console.warn("[qa-bot] triage failed:", err?.message || err);
+    return heuristic(`heuristic (Gemini request failed: ${err?.reason || "error"})`);
   }
 }
 
-async function buildReportMarkdown() {
-  const spec = session.activeTest;
-  const objectives = spec?.objectives || [];
-  const constraints = spec?.constraints || {};
-  const commandCounts = countCommands();
-  const reportTime = new Date().toISOString();
-  const startedAt = session.startedAt;
-  const durationMs = startedAt ? (Date.now() - new Date(startedAt).getTime()) : null;
-  const duration = formatDurationMs(durationMs);
-  const historyCount = session.history.length;
-
-  const objectivesLines = objectives.map((obj) => {
-    if (obj.type === "chest_count_at_least") {
-      const min = Number(obj.minimum || 0);
-      const ok = session.chestsFound >= min;
-      return `- [${formatCheckbox(ok)}] Found at least ${min} chest(s) (found ${session.chestsFound}/${session.totalChests})`;
-    }
-    return `- [ ] ${obj.id || obj.type}`;
-  });
-  const objectiveAttemptLines = (session.objectiveResults || []).map((result, idx) => {
-    const elapsed = result.elapsedSec !== null ? `${result.elapsedSec}s` : "n/a";
-    return `- ${idx + 1}. ${result.id} (${result.type}) => ${result.status} in ${elapsed}`;
-  });
-
-  const maxIdle = Number.isFinite(constraints.maxIdleSteps) ? constraints.maxIdleSteps : "n/a";
-  const avoidFalling = constraints.avoidFalling ? "OK" : "n/a";
-  const status = (session.doneReason === "success" || session.doneReason === "attemptsComplete")
-    ? "PASS"
-    : "FAIL";
-
-  const commandSummary = Object.keys(commandCounts)
-    .sort()
-    .map((k) => `| ${k} | ${commandCounts[k]} |`)
-    .join("\n");
-
-  const objectivesTableRows = objectives.map((obj, idx) => {
-    if (obj.type === "chest_count_at_least") {
-      const min = Number.isFinite(obj.minimum) ? obj.minimum : 1;
-      const ok = session.chestsFound >= min;
-      const target = `>= ${min}`;
-      const result = `${session.chestsFound}/${session.totalChests}`;
-      const elapsed = (session.objectiveResults || [])
-        .find((r) => r.id === (obj.id || `objective_${idx + 1}`))?.elapsedSec;
-      const elapsedText = Number.isFinite(elapsed) ? `${elapsed}s` : "n/a";
-      return `| ${obj.id || `objective_${idx + 1}`} | ${target} | ${result} | ${elapsedText} | ${ok ? "PASS" : "FAIL"} |`;
-    }
-    return `| ${obj.id || `objective_${idx + 1}`} | (custom) | n/a | n/a | n/a |`;
-  });
-
-  const stepsPerChest = session.totalChests > 0
-    ? (session.stepsTaken / Math.max(session.chestsFound, 1)).toFixed(2)
-    : "n/a";
-
-  const stepsPct = spec?.maxSteps ? ((session.stepsTaken / spec.maxSteps) * 100).toFixed(1) : "n/a";
-  const idlePct = Number.isFinite(maxIdle)
-    ? ((session.idleSteps / Math.max(maxIdle, 1)) * 100).toFixed(1)
-    : "n/a";
-  const chestPct = session.totalChests > 0
-    ? ((session.chestsFound / session.totalChests) * 100).toFixed(1)
-    : "n/a";
+// Attempts can all run out on timeouts; the run only passes when every
+// objective succeeded at least once.
+function objectivesSucceeded(session) {
+  const succeeded = new Set(session.objectiveResults.filter((r) => r.status === "success").map((r) => r.id));
+  return (session.activeTest.objectives || []).every((obj, idx) => succeeded.has(objectiveKey(obj, idx)));
+}
 
-  const lastHistory = historyCount > 0 ? session.history[historyCount - 1] : null;
-  const lastObs = lastHistory?.observationJson ? safeJsonParse(lastHistory.observationJson) : null;
-  const lastPos = lastObs?.position
-    ? `(${lastObs.position.x}, ${lastObs.position.y}, ${lastObs.position.z})`
-    : "n/a";
-  const lastYaw = Number.isFinite(lastObs?.yaw) ? lastObs.yaw : "n/a";
-
-  const recentHistory = session.history
-    .filter((h) => h.commandIssued)
-    .slice(-10);
-  const recentStartIndex = Math.max(1, historyCount - recentHistory.length + 1);
-  const recentCommands = recentHistory.map((h, idx) => {
-    const time = h.time || "n/a";
-    return `- ${recentStartIndex + idx}. ${time} => ${h.commandIssued}`;
-  });
+function runStatus(session) {
+  if (assertionsFailed(session)) return "FAIL";
+  if (session.baselineDiff?.regressed && session.activeTest.baseline.failOnRegression) return "FAIL";
+  if (session.doneReason === "success") return "PASS";
+  return session.doneReason === "attemptsComplete" && objectivesSucceeded(session) ? "PASS" : "FAIL";
+}
 
-  const narrativeContext = {
-    testName: spec?.name || null,
-    description: spec?.description || null,
-    status,
+function reportSummary(session) {
+  return {
+    sessionId: session.id,
+    runId: session.id,
+    suiteId: session.suiteId || null,
+    testName: session.activeTest?.name || null,
+    status: session.done ? runStatus(session) : "incomplete",
     doneReason: session.doneReason,
     stepsTaken: session.stepsTaken,
-    maxSteps: spec?.maxSteps ?? null,
-    idleSteps: session.idleSteps,
-    maxIdleSteps: Number.isFinite(maxIdle) ? maxIdle : null,
     chestsFound: session.chestsFound,
     totalChests: session.totalChests,
-    startedAt,
-    reportedAt: reportTime,
-    duration,
-    lastPosition: lastPos,
-    lastYaw
+    startedAt: session.startedAt,
+    finishedAt: session.finishedAt,
+    coverage: summarizeCoverage(session),
+    stuckEpisodes: summarizeStuck(session.stuck),
+    findings: summarizeFindings(session.findings, session.history),
+    assertions: summarizeAssertions(session),
+    control: summarizeControl(session.control),
+    modelCalls: session.modelStats,
+    usage: summarizeUsage(session.usage),
+    fallbacks: { count: session.commandStats.fallback, reasons: session.fallbackReasons },
+    frames: session.frames,
+    replay: session.replay ? summarizeReplay(session.replay) : null
   };
-  const narrativeText = await generateReportNarrative(narrativeContext);
+}
+
+// Reuses the last report while the run hasn't moved, so a finished run's
+// report (and its Gemini triage) is built once and saved with the run. The
+// promise is cached while the build is in flight, so finishRun() and a
+// /report arriving together share one build; a failed build is not cached.
+function getReport(session) {
+  const cached = session.reportCache;
+  if (cached && cached.stepsTaken === session.stepsTaken && cached.done === session.done) {
+    return cached.promise;
+  }
+  const promise = buildReport(session).then((report) => {
+    persistRun(session, "report", () => {
+      for (const format of REPORT_FORMATS) {
+        writeRunReport(RUNS_DIR, session.id, format, renderReport(report, format));
+      }
+      updateRunMeta(RUNS_DIR, session.id, runMetaPatch(session));
+    });
+    return report;
+  });
+  session.reportCache = { stepsTaken: session.stepsTaken, done: session.done, promise };
+  promise.catch(() => {
+    if (session.reportCache?.promise === promise) session.reportCache = null;
+  });
+  return promise;
+}
+
+// What /report answers with (status 500) when the report could not be built:
+// the error, the run summary and the heuristic triage, as far as they work.
+function reportFailure(session, err) {
+  console.warn("[qa-bot] report generation failed:", err?.message || err);
+  const body = { ok: false, error: `Report generation failed: ${err?.message || err}` };
+  try {
+    Object.assign(body, reportSummary(session));
+    body.triage = heuristicTriageResult("heuristic (report generation failed)", {
+      findings: body.findings,
+      stuckEpisodes: body.stuckEpisodes,
+      doneReason: session.doneReason,
+      history: session.history
+    });
+  } catch (fallbackErr) {
+    console.warn("[qa-bot] report fallback failed:", fallbackErr?.message || fallbackErr);
+  }
+  return body;
+}
+
+// Every position of the run, thinned to SNAPSHOT_MAX_POINTS for long runs.
+function reportTrajectory(session) {
+  const stride = Math.ceil(session.history.length / SNAPSHOT_MAX_POINTS) || 1;
+  return session.history
+    .filter((entry, idx) => idx % stride === 0 || idx === session.history.length - 1)
+    .map((entry) => ({ step: entry.step, x: entry.position.x, y: entry.position.y, z: entry.position.z }));
+}
 
-  let issueLine = "No blocking issues detected.";
-  if (status !== "PASS") {
-    const reason = session.doneReason || "unknown";
+function buildIssues(session, status) {
+  const issues = [];
+  const reason = session.doneReason || "unknown";
+  // A run that ended on a passing reason can still fail on assertions or a
+  // baseline regression; those are listed below instead. A run still going
+  // has no done reason to report.
+  const passingEnd = reason === "success" || (reason === "attemptsComplete" && objectivesSucceeded(session));
+  if (session.done && status !== "PASS" && !passingEnd) {
     const reasonMap = {
       maxSteps: "Reached max steps before completing objectives.",
       idleTooLong: "Bot became idle for too long.",
       fellOutOfLevel: "Bot fell out of the level.",
-      attemptsComplete: "Objective attempts exhausted before success."
+      aborted: "Run was aborted before it finished.",
+      budgetExceeded: `Run used up its token or cost budget (${session.budgetExceeded}).`,
+      attemptsComplete: "Objective attempts ran out before every objective succeeded."
     };
-    issueLine = reasonMap[reason] ? `${reasonMap[reason]} (reason: ${reason})` : `Scenario ended with: ${reason}`;
+    issues.push({
+      reason,
+      message: reasonMap[reason] ? `${reasonMap[reason]} (reason: ${reason})` : `Scenario ended with: ${reason}`
+    });
+  }
+  const failedAssertions = session.assertions.filter((a) => a.status === "fail").map((a) => a.name);
+  if (failedAssertions.length > 0) {
+    issues.push({ reason: "assertions", message: `Failed assertions: ${failedAssertions.join(", ")}`, assertions: failedAssertions });
   }
+  const diff = session.baselineDiff;
+  if (diff?.regressed) {
+    issues.push({ reason: "regression", message: `Regressed against the baseline: ${diff.regressions.join(", ")}`, metrics: diff.regressions });
+  }
+  return issues;
+}
 
+function buildRecommendations(session, status) {
   const recommendations = [];
+  const highFindings = session.findings.findings.filter((f) => f.severity === "high").length;
+  if (highFindings > 0) {
+    recommendations.push(`Investigate ${highFindings} high-severity finding(s); see Findings for repro steps.`);
+  }
+  if (session.baselineDiff?.regressions.includes("stepsPerChest")) {
+    recommendations.push("Steps per chest regressed against the baseline; check whether a level change made chests harder to reach.");
+  } else if (session.baselineDiff?.regressed) {
+    recommendations.push("Compare with the baseline runs; see Baseline for the regressed metrics.");
+  }
   if (status === "PASS") {
     recommendations.push("Consider adding more chest placements to expand coverage.");
-  } else {
-    switch (session.doneReason) {
-      case "maxSteps":
-        recommendations.push("Increase step budget or improve navigation efficiency.");
-        break;
-      case "idleTooLong":
-        recommendations.push("Add stuck recovery or diversify movement choices.");
-        break;
-      case "fellOutOfLevel":
-        recommendations.push("Add guard rails or improve fall detection avoidance.");
-        break;
-      case "attemptsComplete":
-        recommendations.push("Adjust objective time limits or attempt caps.");
-        break;
-      default:
-        recommendations.push("Review completed with conditinos.");
-        break;
-    }
+    return recommendations;
+  }
+  if (status === "incomplete") {
+    recommendations.push("Request the report again once the run finishes.");
+    return recommendations;
+  }
+  switch (session.doneReason) {
+    case "maxSteps":
+      recommendations.push("Increase step budget or improve navigation efficiency.");
+      break;
+    case "idleTooLong":
+      recommendations.push("Add stuck recovery or diversify movement choices.");
+      break;
+    case "fellOutOfLevel":
+      recommendations.push("Add guard rails or improve fall detection avoidance.");
+      break;
+    case "attemptsComplete":
+      recommendations.push("Adjust objective time limits or attempt caps.");
+      break;
+    case "budgetExceeded":
+      recommendations.push("Raise maxTokens/maxCost, or enable planning or the response cache to make fewer billed calls.");
+      break;
+    case "aborted":
+      recommendations.push("Re-run the scenario to completion before judging it.");
+      break;
+    default:
+      recommendations.push("Review completed with conditinos.");
+      break;
   }
+  return recommendations;
+}
+
+// The report as data; lib/report.mjs renders it as Markdown, JSON or HTML.
+async function buildReport(session) {
+  const spec = session.activeTest;
+  const objectives = spec?.objectives || [];
+  const constraints = spec?.constraints || {};
+  const reportTime = new Date().toISOString();
+  const startedAt = session.startedAt;
+  const durationSec = startedAt ? (Date.now() - new Date(startedAt).getTime()) / 1000 : null;
+  const gameTimeSec = Number.isFinite(session.firstClockSec) ? session.clockSec - session.firstClockSec : null;
+  const historyCount = session.history.length;
+  const comparison = compareRun(session);
+  const status = session.done ? runStatus(session) : "incomplete";
 
-  return `# QA Report\n\n` +
-    `Status: ${status}\n\n` +
-    (narrativeText ? `## Narrative (Gemini)\n${narrativeText}\n\n` : "") +
-    `## Run Metadata\n` +
-    `- Test: ${spec?.name || "(none)"}\n` +
-    `- Description: ${spec?.description || ""}\n` +
-    `- Started: ${startedAt || "n/a"}\n` +
-    `- Reported: ${reportTime}\n` +
-    `- Duration: ${duration}\n` +
-    `- History entries: ${historyCount}\n\n` +
-    `## Objectives\n` +
-    (objectivesTableRows.length > 0
-      ? `| Objective | Target | Result | Elapsed | Status |\n| --- | --- | --- | --- | --- |\n${objectivesTableRows.join("\n")}\n\n`
-      : `- (none)\n\n`) +
-    `## Objective Attempts\n` +
-    `- Attempts: ${session.objectiveAttempts} / ${MAX_OBJECTIVE_ATTEMPTS}\n` +
-    (objectiveAttemptLines.length > 0 ? `${objectiveAttemptLines.join("\n")}\n\n` : `- (none)\n\n`) +
-    `## Constraints\n` +
-    `| Constraint | Limit | Actual | Status |\n` +
-    `| --- | --- | --- | --- |\n` +
-    `| maxSteps | ${spec?.maxSteps ?? "n/a"} | ${session.stepsTaken} | ${session.stepsTaken <= spec.maxSteps ? "PASS" : "FAIL"} |\n` +
-    `| maxIdleSteps | ${Number.isFinite(maxIdle) ? maxIdle : "n/a"} | ${session.idleSteps} | ${Number.isFinite(maxIdle) ? (session.idleSteps <= maxIdle ? "PASS" : "FAIL") : "n/a"} |\n` +
-    `| avoidFalling | ${constraints.avoidFalling ? "enabled" : "disabled"} | ${avoidFalling} | ${constraints.avoidFalling ? (session.doneReason === "fellOutOfLevel" ? "FAIL" : "PASS") : "n/a"} |\n\n` +
-    `## Progress\n` +
-    `- Steps used: ${session.stepsTaken} / ${spec?.maxSteps ?? "n/a"} (${stepsPct}%)\n` +
-    `- Idle steps: ${session.idleSteps} / ${Number.isFinite(maxIdle) ? maxIdle : "n/a"} (${idlePct}%)\n` +
-    `- Chest progress: ${session.chestsFound} / ${session.totalChests} (${chestPct}%)\n\n` +
-    `## Key Metrics\n` +
-    `- Steps taken: ${session.stepsTaken}\n` +
-    `- Idle steps: ${session.idleSteps}\n` +
-    `- Chests found: ${session.chestsFound} / ${session.totalChests}\n` +
-    `- Steps per chest: ${stepsPerChest}\n\n` +
-    `## Last Observation\n` +
-    `- Position: ${lastPos}\n` +
-    `- Yaw: ${lastYaw}\n\n` +
-    `## Command Summary\n` +
-    (commandSummary
-      ? `| Command | Count |\n| --- | --- |\n${commandSummary}\n\n`
-      : `- (none)\n\n`) +
-    `## Recent Commands (last 10)\n` +
-    (recentCommands.length > 0 ? `${recentCommands.join("\n")}\n\n` : `- (none)\n\n`) +
-    `## Issues\n` +
-    `- ${issueLine}\n\n` +
-    `## Recommendations\n` +
-    recommendations.map((r) => `- ${r}`).join("\n") +
-    `\n`;
+  const maxIdle = Number.isFinite(constraints.maxIdleSteps) ? constraints.maxIdleSteps : null;
+  const percent = (part, whole) => (whole > 0 ? Number(((part / whole) * 100).toFixed(1)) : null);
+
+  const objectiveRows = objectives.map((obj, idx) => {
+    const key = objectiveKey(obj, idx);
+    const { target, result, met } = describeObjective(obj, objectiveContext(session, key));
+    if (met === null) {
+      return { id: key, target, result, elapsedSec: null, status: null };
+    }
+    const results = (session.objectiveResults || []).filter((r) => r.id === key);
+    const succeeded = met || results.some((r) => r.status === "success");
+    const elapsed = (results.find((r) => r.status === "success") || results[0])?.elapsedSec;
+    return { id: key, target, result, elapsedSec: Number.isFinite(elapsed) ? elapsed : null, status: succeeded ? "PASS" : "FAIL" };
+  });
+
+  const constraintRows = [
+    {
+      constraint: "maxSteps",
+      limit: spec?.maxSteps ?? null,
+      actual: session.stepsTaken,
+      status: session.stepsTaken <= spec.maxSteps ? "PASS" : "FAIL"
+    },
+    {
+      constraint: "maxIdleSteps",
+      limit: maxIdle,
+      actual: session.idleSteps,
+      status: maxIdle !== null ? (session.idleSteps <= maxIdle ? "PASS" : "FAIL") : null
+    },
+    {
+      constraint: "avoidFalling",
+      limit: constraints.avoidFalling ? `y >= ${constraints.fallY}` : "disabled",
+      actual: constraints.avoidFalling ? "OK" : null,
+      status: constraints.avoidFalling ? (session.doneReason === "fellOutOfLevel" ? "FAIL" : "PASS") : null
+    },
+    ...assertionConstraintRows(session),
+    ...budgetConstraintRows(session.usage, spec)
+  ];
+
+  const lastHistory = historyCount > 0 ? session.history[historyCount - 1] : null;
+  const lastObs = lastHistory?.observationJson ? safeJsonParse(lastHistory.observationJson) : null;
+
+  const cmdStats = session.commandStats;
+  const summary = reportSummary(session);
+  const triage = await generateTriage(session, {
+    findings: summary.findings,
+    stuckEpisodes: summary.stuckEpisodes,
+    doneReason: session.doneReason,
+    history: session.history
+  });
+  return {
+    status,
+    triage,
+    metadata: {
+      runId: session.id,
+      suiteId: session.suiteId || null,
+      test: spec?.name || null,
+      description: spec?.description || "",
+      policy: session.policy?.name || null,
+      doneReason: session.doneReason,
+      startedAt: startedAt || null,
+      finishedAt: session.finishedAt,
+      reportedAt: reportTime,
+      durationSec,
+      gameTimeSec,
+      historyEntries: historyCount
+    },
+    objectives: objectiveRows,
+    attempts: {
+      used: session.objectiveAttempts,
+      max: spec?.maxObjectiveAttempts ?? null,
+      results: (session.objectiveResults || []).map((r) => ({ id: r.id, type: r.type, status: r.status, elapsedSec: r.elapsedSec }))
+    },
+    constraints: constraintRows,
+    metrics: {
+      steps: { taken: session.stepsTaken, max: spec?.maxSteps ?? null, percent: percent(session.stepsTaken, spec?.maxSteps) },
+      idle: { steps: session.idleSteps, max: maxIdle, percent: maxIdle !== null ? percent(session.idleSteps, Math.max(maxIdle, 1)) : null },
+      chests: { found: session.chestsFound, total: session.totalChests, percent: percent(session.chestsFound, session.totalChests) },
+      stepsPerChest: session.totalChests > 0 ? session.stepsTaken / Math.max(session.chestsFound, 1) : null,
+      lastPosition: lastObs?.position || null,
+      lastYaw: Number.isFinite(lastObs?.yaw) ? lastObs.yaw : null,
+      coverage: summary.coverage,
+      decisions: {
+        policyCalls: session.policyCalls,
+        stepsPerCall: session.policyCalls > 0 ? session.stepsTaken / session.policyCalls : null,
+        plans: session.planStats
+      },
+      modelCalls: session.modelStats,
+      usage: summary.usage
+    },
+    commands: {
+      counts: countCommands(session),
+      allowed: describeCommandRules(spec.commandRules),
+      validation: { ...cmdStats, fallbackReasons: session.fallbackReasons },
+      invalid: session.invalidCommands.slice(-5),
+      recent: session.history
+        .filter((h) => h.commandIssued)
+        .slice(-10)
+        .map((h) => ({ step: h.step, time: h.time || null, command: h.commandIssued, overridden: Boolean(h.overridden) }))
+    },
+    issues: buildIssues(session, status),
+    recommendations: buildRecommendations(session, status),
+    findings: summary.findings,
+    stuckEpisodes: summary.stuckEpisodes,
+    assertions: summary.assertions,
+    control: summary.control,
+    replay: summary.replay,
+    frames: summary.frames,
+    baseline: comparison.diff,
+    trend: comparison.trend,
+    trajectory: reportTrajectory(session)
+  };
 }
 
 app.post("/start", (req, res) => {
   const testName = req.body?.testName || DEFAULT_TEST;
+  const suiteName = req.body?.suiteName;
+  const replayRunId = req.body?.replayRunId;
   try {
+    if (replayRunId) {
+      const session = startReplay(replayRunId, req.body?.replayTolerance || {});
+      defaultSessionId = session.id;
+      console.log("[QA-BOT] /start replay", { replayOf: replayRunId, sessionId: session.id });
+      return res.json({
+        ok: true,
+        activeTest: session.activeTest.name,
+        sessionId: session.id,
+        replayOf: replayRunId,
+        recordedSteps: session.replay.recordedSteps,
+        vision: clientVisionConfig(session.activeTest.vision)
+      });
+    }
+
+    if (suiteName) {
+      const { suite, session } = startSuite(suiteName);
+      defaultSessionId = session.id;
+      console.log("[QA-BOT] /start suite", { suite: suite.spec.name, suiteId: suite.id, runs: suite.queue.length });
+      return res.json({
+        ok: true,
+        activeTest: session.activeTest.name,
+        sessionId: session.id,
+        suiteId: suite.id,
+        runsPlanned: suite.queue.length,
+        vision: clientVisionConfig(session.activeTest.vision)
+      });
+    }
+
     const spec = loadTestSpec(testName);
-    resetSession(spec);
-    console.log("[QA-BOT] /start", { testName: spec.name });
-    res.json({ ok: true, activeTest: spec.name });
+    const session = createSession(spec);
+    defaultSessionId = session.id;
+    console.log("[QA-BOT] /start", { testName: spec.name, sessionId: session.id });
+    res.json({ ok: true, activeTest: spec.name, sessionId: session.id, vision: clientVisionConfig(spec.vision) });
   } catch (err) {
     console.warn("[qa-bot] /start error:", err?.message || err);
-    res.status(400).json({ ok: false, error: String(err?.message || err) });
+    res.status(400).json({ ok: false, error: String(err?.message || err), errors: err?.errors || [] });
+  }
+});
+
+// Lints a spec without starting a run. Accepts { testName } for a file under
+// tests/, or { spec } as YAML text or an already-parsed object.
+app.post("/validate", (req, res) => {
+  const testName = req.body?.testName;
+  const name = testName || req.body?.spec?.name || "(inline)";
+  try {
+    let data;
+    if (req.body?.spec !== undefined) {
+      data = typeof req.body.spec === "string" ? parseTestSpec(req.body.spec, name) : req.body.spec;
+    } else if (testName) {
+      const filePath = path.join(TESTS_DIR, `${testName}.yaml`);
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ ok: false, errors: [`Test spec not found: ${filePath}`] });
+      }
+      data = parseTestSpec(fs.readFileSync(filePath, "utf8"), name);
+    } else {
+      return res.status(400).json({ ok: false, errors: ["Provide testName or spec"] });
+    }
+
+    const errors = validateSpec(data, { templateVariables: TEMPLATE_VARIABLES });
+    res.status(errors.length > 0 ? 400 : 200).json({ ok: errors.length === 0, name, errors });
+  } catch (err) {
+    res.status(400).json({ ok: false, name, errors: err?.errors || [String(err?.message || err)] });
   }
 });
 
-app.post("/step", async (req, res) => {
+app.post("/step", express.raw({ type: "multipart/form-data", limit: "10mb" }), async (req, res) => {
+  let files = null;
+  if (Buffer.isBuffer(req.body)) {
+    try {
+      ({ fields: req.body, files } = parseMultipart(req.body, req.headers["content-type"]));
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: String(err?.message || err) });
+    }
+  }
+  const session = resolveSession(req);
+  if (!session) return sessionNotFound(req, res);
+  if (session.control.abortedBy) {
+    return res.json({ command: "", note: "aborted", done: !session.nextSessionId, sessionId: session.nextSessionId || session.id });
+  }
+  // Paused steps are not counted; the client keeps polling until /resume.
+  if (session.control.paused) {
+    return res.json({ command: "", note: "paused", paused: true, sessionId: session.id });
+  }
+
   const observationJson = parseObservation(req.body);
   const time = new Date().toISOString();
+  const image = extractImage(req.body, files, session.activeTest.vision);
+  session.lastImage = image?.data ? { ...image, step: session.stepsTaken + 1 } : null;
+  const imageRecord = image ? { bytes: image.bytes, mimeType: image.mimeType, error: image.error } : undefined;
+  if (image?.error) console.warn("[qa-bot] /step", image.error);
 
-  ensureActiveTest();
-
-  const { position, yaw, foundChests, totalChests } = extractObservationFields(observationJson);
+  const { obs, parsed, position, yaw, foundChests, totalChests } = extractObservationFields(observationJson);
   session.stepsTaken += 1;
-  updateIdle(position, yaw);
+  updateIdle(session, position, yaw);
+  session.lastObservation = obs;
+  const prevClockSec = session.clockSec;
+  session.clockSec = observationClockSec(obs);
+  session.clockStepSec = Number.isFinite(prevClockSec) ? session.clockSec - prevClockSec : 0;
+  if (!Number.isFinite(session.firstClockSec)) session.firstClockSec = session.clockSec;
+  excludePausedTime(session);
   session.chestsFound = foundChests;
   session.totalChests = totalChests;
+  const historyEntry = {
+    step: session.stepsTaken,
+    time,
+    observationJson,
+    commandIssued: null,
+    position,
+    yaw,
+    chestsFound: foundChests
+  };
+  const { cellSize } = session.activeTest.memory;
+  recordOutcome(session.exploration, session.history[session.history.length - 1], historyEntry, cellSize);
+  recordVisit(session.exploration, position, cellSize, session.stepsTaken, session.clockSec);
+  session.history.push(historyEntry);
 
-  session.history.push({ time, observationJson, commandIssued: null });
+  observeObjectives(session);
+  if (session.replay) {
+    const divergence = compareReplayObservation(session.replay, session.stepsTaken, obs);
+    if (divergence && session.replay.divergences.length === 1) {
+      console.log("[QA-BOT] replay diverged", { sessionId: session.id, step: divergence.step, kind: divergence.kind });
+    }
+  }
+  for (const finding of detectAnomalies(session, { obs: parsed ? obs : null, position, foundChests, totalChests })) {
+    saveFrame(session, `finding #${finding.index} ${finding.detector}`);
+    console.log("[QA-BOT] finding", { sessionId: session.id, step: finding.step, detector: finding.detector, severity: finding.severity });
+  }
+  const stuckEpisode = updateStuck(session);
+  if (stuckEpisode) {
+    console.log("[QA-BOT] stuck", { sessionId: session.id, step: stuckEpisode.step, detector: stuckEpisode.detector });
+  }
 
-  evaluateDone(position.y);
+  evaluateDone(session, position.y);
   if (session.done) {
-    console.log("[QA-BOT] /step done", { reason: session.doneReason, steps: session.stepsTaken });
-    return res.json({ command: "", note: session.doneReason || "done" });
+    console.log("[QA-BOT] /step done", { sessionId: session.id, reason: session.doneReason, steps: session.stepsTaken });
+    finalizeAssertions(session);
+    if (runStatus(session) === "FAIL") saveFrame(session, `failure: ${session.doneReason}`);
+    recordStep(session, {
+      time,
+      observation: obs,
+      image: imageRecord,
+      command: "",
+      note: session.doneReason || "done",
+      done: true
+    });
+    finishRun(session);
+    const next = advanceSuite(session);
+    if (next) {
+      return res.json({
+        command: "",
+        note: `${session.doneReason}; suite next: ${next.activeTest.name}`,
+        sessionId: next.id,
+        suiteId: next.suiteId,
+        vision: clientVisionConfig(next.activeTest.vision)
+      });
+    }
+    return res.json({ command: "", note: session.doneReason || "done", done: true, sessionId: session.id });
   }
 
+  const decideStartedMs = Date.now();
+  const usageBefore = usageMark(session.usage);
   try {
-    const result = await generateStepCommand(observationJson);
-    session.history[session.history.length - 1].commandIssued = result.command;
-    res.json({ command: result.command, note: result.note });
+    const result = await generateStepCommand(session, observationJson);
+    const entry = session.history[session.history.length - 1];
+    entry.commandIssued = result.command;
+    if (result.fromOverride) entry.overridden = true;
+    recordStep(session, {
+      time,
+      observation: obs,
+      prompt: result.prompt,
+      rawResponse: result.raw ?? null,
+      validation: result.validation ?? null,
+      fromPlan: result.fromPlan || undefined,
+      fromRecovery: result.fromRecovery || undefined,
+      fromOverride: result.fromOverride || undefined,
+      image: imageRecord && { ...imageRecord, sentToPolicy: result.imageSent || false },
+      command: result.command,
+      note: result.note,
+      usage: usageSince(session.usage, usageBefore),
+      latencyMs: Date.now() - decideStartedMs
+    });
+    res.json({ command: result.command, note: result.note, sessionId: session.id });
   } catch (err) {
     console.warn("[qa-bot] /step error:", err?.message || err);
-    res.status(500).json({ command: "move_fwd:0.5", note: "server error; using fallback" });
+    const command = fallbackCommand(session.activeTest.commandRules);
+    session.history[session.history.length - 1].commandIssued = command;
+    recordFallback(session, "server error");
+    recordStep(session, {
+      time,
+      observation: obs,
+      command,
+      note: "server error; using fallback",
+      error: String(err?.message || err),
+      latencyMs: Date.now() - decideStartedMs
+    });
+    res.status(500).json({ command, note: "server error; using fallback", sessionId: session.id });
   }
 });
 
-app.post("/report", async (req, res) => {
-  ensureActiveTest();
-  const reportMarkdown = await buildReportMarkdown();
+function publishControl(session, action) {
+  events.publish("control", { action, suiteId: session.suiteId, ...controlStatus(session) });
+}
 
-  res.json({
-    reportMarkdown,
-    testName: session.activeTest?.name || null,
-    doneReason: session.doneReason,
-    stepsTaken: session.stepsTaken,
-    chestsFound: session.chestsFound,
-    totalChests: session.totalChests
-  });
+app.post("/pause", (req, res) => {
+  const session = findSession(req);
+  if (!session) return sessionNotFound(req, res);
+  if (session.done) return res.status(409).json({ ok: false, error: "Run already finished", ...controlStatus(session) });
+  if (pauseSession(session, req.body?.reason || "")) {
+    console.log("[QA-BOT] paused", { sessionId: session.id, step: session.stepsTaken });
+    publishControl(session, "pause");
+  }
+  res.json({ ok: true, ...controlStatus(session) });
+});
+
+app.post("/resume", (req, res) => {
+  const session = findSession(req);
+  if (!session) return sessionNotFound(req, res);
+  if (resumeSession(session)) {
+    console.log("[QA-BOT] resumed", { sessionId: session.id, step: session.stepsTaken });
+    publishControl(session, "resume");
+  }
+  res.json({ ok: true, ...controlStatus(session) });
+});
+
+// Ends the run as "aborted". With { suite: true } the rest of its suite is
+// cancelled too; otherwise the suite moves on to its next spec.
+app.post("/abort", (req, res) => {
+  const session = findSession(req);
+  if (!session) return sessionNotFound(req, res);
+  if (session.done) return res.status(409).json({ ok: false, error: "Run already finished", ...controlStatus(session) });
+
+  abortSession(session, req.body?.reason || "");
+  console.log("[QA-BOT] aborted", { sessionId: session.id, step: session.stepsTaken });
+  publishStep(session, { time: new Date().toISOString(), command: "", note: "aborted", done: true });
+  finishRun(session);
+
+  const suite = session.suiteId ? suites.get(session.suiteId) : null;
+  let next = null;
+  if (suite && req.body?.suite) {
+    abortSuite(suite);
+    advanceSuite(session);
+  } else {
+    next = advanceSuite(session);
+  }
+  session.nextSessionId = next?.id || null;
+  res.json({ ok: true, ...controlStatus(session), nextSessionId: session.nextSessionId, suiteAborted: Boolean(suite?.aborted) });
+});
+
+// Queues manual commands: { command } or { commands: [...] }, with an
+// optional note and { replace: true } to drop what is already queued.
+app.post("/override", (req, res) => {
+  const session = findSession(req);
+  if (!session) return sessionNotFound(req, res);
+  if (session.done) return res.status(409).json({ ok: false, error: "Run already finished", ...controlStatus(session) });
+
+  const body = req.body || {};
+  const commands = Array.isArray(body.commands) ? body.commands : (body.command !== undefined ? [body.command] : []);
+  if (commands.length === 0) return res.status(400).json({ ok: false, errors: ["Provide command or commands"] });
+
+  const result = queueOverrides(session, commands, { note: body.note || "", replace: Boolean(body.replace) });
+  if (result.errors) return res.status(400).json({ ok: false, errors: result.errors });
+  console.log("[QA-BOT] override queued", { sessionId: session.id, queued: result.queued, pending: result.pending });
+  publishControl(session, "override");
+  res.json({ ok: true, queued: result.queued, ...controlStatus(session) });
+});
+
+// ?format= or the Accept header picks md, json or html. POST defaults to JSON:
+// the report summary plus `reportMarkdown` (what GeminiE2EClient logs) and
+// the structured `report`; GET defaults to Markdown and returns json as the
+// bare report object.
+app.post("/report", async (req, res) => {
+  const session = resolveSession(req);
+  if (!session) return sessionNotFound(req, res);
+  const format = pickReportFormat(req, ["json", "md", "html"]);
+  if (!format) return invalidReportFormat(req, res);
+  try {
+    const report = await getReport(session);
+    if (format === "json") {
+      return res.json({ reportMarkdown: renderReportMarkdown(report), ...reportSummary(session), report });
+    }
+    res.set("Content-Type", REPORT_CONTENT_TYPES[format]);
+    res.send(renderReport(report, format));
+  } catch (err) {
+    res.status(500).json(reportFailure(session, err));
+  }
 });
 
 app.get("/report", async (req, res) => {
-  ensureActiveTest();
-  const reportMarkdown = await buildReportMarkdown();
+  const session = resolveSession(req);
+  if (!session) return sessionNotFound(req, res);
+  const format = pickReportFormat(req, ["md", "json", "html"]);
+  if (!format) return invalidReportFormat(req, res);
+  try {
+    const body = renderReport(await getReport(session), format);
+    res.set("Content-Type", REPORT_CONTENT_TYPES[format]);
+    res.send(body);
+  } catch (err) {
+    res.status(500).json(reportFailure(session, err));
+  }
+});
+
+function invalidReportFormat(req, res) {
+  res.status(400).json({ ok: false, error: `Unknown report format: ${req.query.format || req.body?.format} (expected ${REPORT_FORMATS.join(", ")})` });
+}
+
+// Aggregate suite results: ?format=md (default), json or junit.
+app.get("/suite/:id/report", (req, res) => {
+  const suite = suites.get(req.params.id);
+  if (!suite) return res.status(404).json({ ok: false, error: `Suite not found: ${req.params.id}` });
+
+  const format = req.query.format || "md";
+  if (format === "junit") {
+    res.set("Content-Type", "application/xml; charset=utf-8");
+    return res.send(buildSuiteJUnitXml(suite));
+  }
+  if (format === "json") {
+    return res.json(summarizeSuite(suite));
+  }
   res.set("Content-Type", "text/markdown; charset=utf-8");
-  res.send(reportMarkdown);
+  res.send(buildSuiteReportMarkdown(suite));
+});
+
+// Past runs on disk. Filters: ?test=&status=&since=&until=&limit=
+app.get("/runs", (req, res) => {
+  const runs = listRuns(RUNS_DIR, req.query);
+  res.json({ count: runs.length, runs });
+});
+
+// ?steps=0 omits the step records.
+app.get("/runs/:id", (req, res) => {
+  const run = readRun(RUNS_DIR, req.params.id, { includeSteps: req.query.steps !== "0" });
+  if (!run) return res.status(404).json({ ok: false, error: `Run not found: ${req.params.id}` });
+  res.json(run);
+});
+
+app.get("/runs/:id/report", (req, res) => {
+  const format = pickReportFormat(req, ["md", "json", "html"]);
+  if (!format) return invalidReportFormat(req, res);
+  let report;
+  try {
+    report = readRun(RUNS_DIR, req.params.id, { includeSteps: false }) && readRunReport(RUNS_DIR, req.params.id, format);
+  } catch (err) {
+    console.warn("[qa-bot] reading report failed:", err?.message || err);
+    return res.status(500).json({ ok: false, error: `Could not read the report of ${req.params.id}: ${err?.message || err}` });
+  }
+  if (!report) {
+    return res.status(404).json({ ok: false, error: `Report not found: ${req.params.id} (${format})` });
+  }
+  res.set("Content-Type", REPORT_CONTENT_TYPES[format]);
+  res.send(report);
+});
+
+// Baselines: the runs later runs of a test are compared against. PUT takes
+// { runIds: [...] } or { last: N } for the test's N most recent finished runs.
+app.get("/baselines", (req, res) => {
+  res.json(readBaselines(RUNS_DIR));
+});
+
+app.get("/baselines/:test", (req, res) => {
+  const baseline = readBaseline(RUNS_DIR, req.params.test);
+  if (!baseline) return res.status(404).json({ ok: false, error: `No baseline for ${req.params.test}` });
+  res.json(baseline);
+});
+
+app.put("/baselines/:test", (req, res) => {
+  const test = req.params.test;
+  try {
+    let metas;
+    if (Array.isArray(req.body?.runIds)) {
+      metas = req.body.runIds.map((id) => {
+        const meta = runExists(RUNS_DIR, id) ? readRunMeta(RUNS_DIR, id) : null;
+        if (!meta) throw new Error(`Run not found: ${id}`);
+        return meta;
+      });
+    } else if (Number.isInteger(req.body?.last) && req.body.last > 0) {
+      metas = listRuns(RUNS_DIR, { test })
+        .filter((m) => m.status === "PASS" || m.status === "FAIL")
+        .slice(0, req.body.last);
+    } else {
+      return res.status(400).json({ ok: false, error: "Provide runIds or last" });
+    }
+    const baseline = setBaseline(RUNS_DIR, test, metas);
+    console.log("[QA-BOT] baseline set", { test, runs: baseline.runIds.length });
+    res.json({ ok: true, baseline });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.delete("/baselines/:test", (req, res) => {
+  if (!clearBaseline(RUNS_DIR, req.params.test)) {
+    return res.status(404).json({ ok: false, error: `No baseline for ${req.params.test}` });
+  }
+  res.json({ ok: true, test: req.params.test });
+});
+
+// Pass rate, flakiness and mean metrics over a test's last N finished runs
+// (?last=, default 10).
+app.get("/tests/:name/stats", (req, res) => {
+  const last = Number(req.query.last) > 0 ? Number(req.query.last) : 10;
+  const trend = testTrend(listRuns(RUNS_DIR, { test: req.params.name }), last);
+  res.json({ test: req.params.name, baseline: readBaseline(RUNS_DIR, req.params.name), ...trend });
+});
+
+app.get("/runs/:id/frames/:file", (req, res) => {
+  const filePath = runFramePath(RUNS_DIR, req.params.id, req.params.file);
+  if (!filePath) {
+    return res.status(404).json({ ok: false, error: `Frame not found: ${req.params.id}/${req.params.file}` });
+  }
+  res.sendFile(filePath);
+});
+
+app.get("/events", (req, res) => {
+  const sessionId = req.query.sessionId || null;
+  events.subscribe(req, res, {
+    sessionId,
+    suiteId: (sessionId && sessions.get(sessionId)?.suiteId) || null,
+    snapshot: [...sessions.values()].map(sessionSnapshot)
+  });
+});
+
+app.get("/dashboard", (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "dashboard.html"));
 });
 
-app.listen(PORT, () => {
-  console.log(`[qa-bot] listening on http://localhost:${PORT}`);
+app.delete("/session/:id", (req, res) => {
+  if (!deleteSession(req.params.id)) return sessionNotFound(req, res);
+  console.log("[QA-BOT] session deleted", { sessionId: req.params.id });
+  res.json({ ok: true, sessionId: req.params.id });
 });
+
+// Resolves with the http.Server once it accepts connections; port 0 picks a
+// free port.
+function listen(port = PORT, host = undefined) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => resolve(server));
+    server.once("error", reject);
+  });
+}
+
+export { app, listen };
+
+// `node server.mjs` serves on PORT; `qa-bot run` and other scripts that import
+// the app listen on a port of their own.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  listen().then(() => {
+    console.log(`[qa-bot] listening on http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { compileExpression, createAssertionState, evaluateAssertions, finalizeAssertions } from "../lib/assertions.mjs";
+import { validateSpec } from "../lib/spec.mjs";
+import { startServer } from "./server.mjs";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "qa-bot-assertions-"));
+let app;
+
+before(async () => {
+  fs.writeFileSync(path.join(tmpDir, "prev_check.yaml"), [
+    "name: prev_check",
+    "maxSteps: 10",
+    "policy: { type: scripted, loop: true, commands: [move_fwd:1] }",
+    "objectives: [{ id: chest, type: chest_count_at_least, minimum: 1 }]",
+    "assertions:",
+    "  - { name: no_teleport, expr: \"!prev || !prev.time || obs.time >= prev.time\" }",
+    "prompt: { system: \"\", userTemplate: \"\" }",
+    ""
+  ].join("\n"));
+  app = await startServer({ testsDir: tmpDir });
+});
+
+after(() => {
+  app.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function fakeSession(observationJsons, assertions) {
+  const history = observationJsons.map((observationJson, i) => ({ step: i + 1, observationJson }));
+  let last = {};
+  try {
+    last = JSON.parse(observationJsons[observationJsons.length - 1]);
+  } catch {}
+  return {
+    history,
+    lastObservation: last,
+    stepsTaken: history.length,
+    chestsFound: 0,
+    totalChests: 1,
+    assertions: createAssertionState(assertions)
+  };
+}
+
+test("a non-JSON previous observation reads as an empty prev", () => {
+  const session = fakeSession(["not json", "{\"time\":1}"], [{ name: "prev_time", expr: "obs.time == 1 && !prev.time", mode: "at_end" }]);
+  assert.equal(evaluateAssertions(session), null);
+  finalizeAssertions(session);
+  assert.equal(session.assertions[0].status, "pass");
+  assert.equal(session.assertions[0].error, null);
+});
+
+test("unknown names are rejected when the spec is validated", () => {
+  assert.throws(() => compileExpression("ob.health > 0"), /unknown name "ob"/);
+  const errors = validateSpec({
+    name: "typo",
+    policy: { type: "scripted", commands: ["move_fwd:1"] },
+    assertions: [{ name: "alive", expr: "ob.health > 0" }]
+  });
+  assert.ok(errors.some((e) => e.startsWith("assertions[0].expr: unknown name \"ob\"")), errors.join("; "));
+  assert.doesNotThrow(() => compileExpression("obs.health > 0 && prev.health >= step - chestsFound - totalChests"));
+});
+
+test("/step survives a non-JSON observation followed by another step", async () => {
+  const { body: started } = await app.post("/start", { testName: "prev_check" });
+  const sessionId = started.sessionId;
+  const first = await app.post("/step", { sessionId, observationJson: "not json" });
+  assert.equal(first.status, 200);
+  const second = await app.post("/step", {
+    sessionId,
+    observationJson: JSON.stringify({ time: 1, position: { x: 0, y: 0, z: 0 }, yaw: 0, chestsFound: 0, totalChests: 1 })
+  });
+  assert.equal(second.status, 200);
+  const { body: report } = await app.post("/report", { sessionId });
+  assert.equal(report.assertions[0].status, "pending");
+  assert.equal(report.assertions[0].error, null);
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { startServer } from "./server.mjs";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "qa-bot-baselines-"));
+let app;
+
+before(async () => {
+  fs.writeFileSync(path.join(tmpDir, "gated.yaml"), [
+    "name: gated",
+    "maxSteps: 10",
+    "maxObjectiveAttempts: 1",
+    "policy: { type: scripted, loop: true, commands: [move_fwd:1] }",
+    "objectives: [{ id: chest, type: chest_count_at_least, minimum: 1 }]",
+    "baseline: { failOnRegression: true }",
+    "prompt: { system: \"\", userTemplate: \"\" }",
+    ""
+  ].join("\n"));
+  app = await startServer({ testsDir: tmpDir });
+});
+
+after(() => {
+  app.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function observation(time, z, chestsFound) {
+  return JSON.stringify({ time, position: { x: 0, y: 0, z }, yaw: 0, chestsFound, totalChests: 1 });
+}
+
+// Plays `zs` (one position per step) and finds the chest on the last step.
+async function play(zs) {
+  const { body: started } = await app.post("/start", { testName: "gated" });
+  const { sessionId } = started;
+  for (const [idx, z] of zs.entries()) {
+    await app.post("/step", { sessionId, observationJson: observation(idx * 0.5, z, idx === zs.length - 1 ? 1 : 0) });
+  }
+  return sessionId;
+}
+
+async function getJson(route) {
+  return (await fetch(`${app.baseUrl}${route}`)).json();
+}
+
+test("the saved status and the report agree when a run regresses against the baseline", async () => {
+  const first = await play([0, 0.5, 1]);
+  assert.equal((await app.post("/report", { sessionId: first })).body.status, "PASS");
+  const res = await fetch(`${app.baseUrl}/baselines/gated`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ runIds: [first] })
+  });
+  assert.equal(res.status, 200);
+
+  // Mid-run reports diff against the baseline too.
+  const { body: started } = await app.post("/start", { testName: "gated" });
+  await app.post("/step", { sessionId: started.sessionId, observationJson: observation(0, 0, 0) });
+  const { body: partial } = await app.post("/report", { sessionId: started.sessionId });
+  assert.equal(partial.report.status, "incomplete");
+  assert.notEqual(partial.report.baseline, null);
+
+  // A teleport is a finding the baseline run did not have.
+  const second = await play([0, 20, 20.5]);
+  const meta = await getJson(`/runs/${second}?steps=0`);
+  assert.equal(meta.meta.status, "FAIL");
+  const { body: report } = await app.post("/report", { sessionId: second });
+  assert.equal(report.status, "FAIL");
+  assert.ok(report.report.baseline.regressions.includes("newFindings"));
+});
@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { fallbackCommand, resolveCommandRules, validateCommand } from "../lib/commands.mjs";
+import { validateSpec } from "../lib/spec.mjs";
+
+const SPEC = { name: "rules", policy: { type: "scripted", commands: ["turn_left:90"] } };
+
+test("commands outside the limits are clamped and disallowed ones rejected", () => {
+  const rules = resolveCommandRules({ allowedCommands: ["move_fwd", "turn_left"], commandLimits: { move_fwd: { max: 1.5 } } });
+  assert.deepEqual(validateCommand("move_fwd:4", rules), { ok: true, command: "move_fwd:1.5", clamped: true });
+  assert.equal(validateCommand("jump", rules).ok, false);
+});
+
+test("the fallback command respects allowedCommands and commandLimits", () => {
+  assert.equal(fallbackCommand(resolveCommandRules({})), "move_fwd:0.5");
+  assert.equal(fallbackCommand(resolveCommandRules({ commandLimits: { move_fwd: { min: 1 } } })), "move_fwd:1");
+  assert.equal(fallbackCommand(resolveCommandRules({ allowedCommands: ["turn_left", "jump"] })), "turn_left:1");
+  assert.equal(fallbackCommand(resolveCommandRules({ allowedCommands: ["jump"] })), "jump");
+});
+
+test("a commandLimits min above its max fails validation", () => {
+  assert.deepEqual(validateSpec({ ...SPEC, commandLimits: { turn_left: { min: 10, max: 90 } } }), []);
+  const errors = validateSpec({ ...SPEC, commandLimits: { turn_left: { min: 90, max: 10 }, move_fwd: { min: 5 } } });
+  assert.ok(errors.includes("commandLimits.turn_left: min 90 is greater than max 10"), errors.join("; "));
+  assert.ok(errors.includes("commandLimits.move_fwd: min 5 is greater than max 3"), errors.join("; "));
+});
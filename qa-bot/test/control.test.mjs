@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startServer } from "./server.mjs";
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(() => app.close());
+
+let moved = 0;
+function observation(time) {
+  moved += 0.5;
+  return JSON.stringify({ time, position: { x: 0, y: 0, z: moved }, yaw: 0, chestsFound: 0, totalChests: 1 });
+}
+
+test("a pause longer than the objective time limit does not time the objective out", async () => {
+  const { body: started } = await app.post("/start", { testName: "offline_smoke" });
+  const { sessionId } = started;
+  const step = (time) => app.post("/step", { sessionId, observationJson: observation(time) });
+
+  await step(0);
+  await step(0.5);
+  await app.post("/pause", { sessionId });
+  const paused = await step(60);
+  assert.equal(paused.body.paused, true);
+  await app.post("/resume", { sessionId });
+  const resumed = await step(60.5);
+  assert.equal(resumed.body.done, undefined);
+
+  const { body: report } = await app.post("/report", { sessionId });
+  assert.deepEqual(report.report.attempts.results, []);
+  assert.equal(report.control.pauses[0].pausedSec, 59.5);
+
+  // The objective time limit (5s by default) still applies after the pause.
+  await step(66);
+  const { body: final } = await app.post("/report", { sessionId });
+  assert.equal(final.report.attempts.results[0].status, "timeout");
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startServer } from "./server.mjs";
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(() => app.close());
+
+// Reads `type` events from an open /events response until `until` accepts one.
+async function readEvents(res, type, until) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  const seen = [];
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return seen;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n\n")) >= 0) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = /^event: (.*)$/m.exec(block)?.[1];
+      const data = /^data: (.*)$/m.exec(block)?.[1];
+      if (event !== type) continue;
+      seen.push(JSON.parse(data));
+      if (until(seen[seen.length - 1])) {
+        await reader.cancel();
+        return seen;
+      }
+    }
+  }
+}
+
+test("/events for a suite's session follows the suite to its next session", async () => {
+  const { body: started } = await app.post("/start", { suiteName: "smoke" });
+  const first = started.sessionId;
+  const controller = new AbortController();
+  const res = await fetch(`${app.baseUrl}/events?sessionId=${first}`, { signal: controller.signal });
+  const timer = setTimeout(() => controller.abort(), 5000);
+
+  const pending = readEvents(res, "session", (data) => data.sessionId !== first);
+  const { body: aborted } = await app.post("/abort", { sessionId: first });
+  const sessions = await pending;
+  clearTimeout(timer);
+
+  assert.ok(aborted.nextSessionId);
+  assert.equal(sessions[sessions.length - 1].sessionId, aborted.nextSessionId);
+  assert.equal(sessions[sessions.length - 1].suiteId, started.suiteId);
+});
@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createFindingsState, detectAnomalies, resolveAnomalies } from "../lib/findings.mjs";
+
+function invalidObservation(obs) {
+  const session = {
+    activeTest: { anomalies: resolveAnomalies({}), constraints: { fallY: -1 } },
+    findings: createFindingsState(),
+    stepsTaken: 1,
+    history: [{ step: 1 }]
+  };
+  const position = obs.position || { x: 0, y: 0, z: 0 };
+  const findings = detectAnomalies(session, { obs, position, foundChests: obs.chestsFound ?? 0, totalChests: obs.totalChests ?? 0 });
+  return findings.find((f) => f.detector === "invalid_observation") || null;
+}
+
+test("optional observation fields are flagged only when present but not numbers", () => {
+  assert.equal(invalidObservation({ position: { x: 0, y: 0, z: 0 } }), null);
+
+  const bad = invalidObservation({ position: { x: 0, y: 0, z: 0 }, time: "soon", yaw: null, totalChests: "3" });
+  assert.equal(bad.severity, "high");
+  assert.equal(bad.detail, "time is \"soon\", totalChests is \"3\"");
+
+  const missing = invalidObservation({ time: 1 });
+  assert.equal(missing.severity, "medium");
+  assert.equal(missing.detail, "position missing");
+});
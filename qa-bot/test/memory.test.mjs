@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildMemoryVars, createExplorationMemory, recordVisit, resolveMemory } from "../lib/memory.mjs";
+
+function session() {
+  const exploration = createExplorationMemory();
+  const history = [];
+  for (let step = 1; step <= 20; step++) {
+    const position = { x: step, y: 0, z: step % 3 };
+    recordVisit(exploration, position, 1, step);
+    history.push({ step, position, commandIssued: "move_fwd:1" });
+  }
+  return { exploration, history, lastPosition: history[history.length - 1].position };
+}
+
+test("memory blocks shrink to fit the prompt cap", () => {
+  const sizes = [];
+  const vars = buildMemoryVars(session(), resolveMemory({}), (v) => {
+    sizes.push(v.recentActionsJson.length);
+    return v.recentActionsJson.length < 200;
+  });
+  assert.ok(sizes.length > 1);
+  assert.ok(vars.recentActionsJson.length < 200);
+  assert.notEqual(vars.recentActionsJson, "[]");
+});
+
+test("memory blocks are left out when even the smallest setting is over the cap", () => {
+  const vars = buildMemoryVars(session(), resolveMemory({}), (v) => v.visitedMapAscii.length < 10);
+  assert.match(vars.visitedMapAscii, /^\(omitted/);
+  assert.equal(vars.recentActionsJson, "[]");
+  assert.equal(vars.deadEndsJson, "[]");
+  assert.equal(vars.visitedCellCount, 20);
+});
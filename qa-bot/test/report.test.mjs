@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { renderReportHtml, renderReportMarkdown } from "../lib/report.mjs";
+import { startServer } from "./server.mjs";
+
+let app;
+let baseReport;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(() => app.close());
+
+test("concurrent /report calls share one report build", async () => {
+  const { body: started } = await app.post("/start", { testName: "offline_smoke" });
+  const { sessionId } = started;
+  await app.post("/abort", { sessionId, reason: "enough" });
+  const [a, b, c] = await Promise.all([
+    app.post("/report", { sessionId }),
+    app.post("/report", { sessionId }),
+    app.post("/report", { sessionId })
+  ]);
+  assert.equal(a.status, 200);
+  assert.equal(a.body.report.metadata.reportedAt, b.body.report.metadata.reportedAt);
+  assert.equal(a.body.report.metadata.reportedAt, c.body.report.metadata.reportedAt);
+  assert.equal(a.body.report.triage.source, "heuristic");
+  baseReport = { ...a.body.report, metadata: { ...a.body.report.metadata, runId: "run-1" } };
+});
+
+test("the report object is data; Markdown comes only from the renderers", async () => {
+  const { body: started } = await app.post("/start", { testName: "offline_smoke" });
+  const { sessionId } = started;
+  await app.post("/step", { sessionId, observationJson: JSON.stringify({ time: 0, position: { x: 0, y: 0, z: 0 }, yaw: 0, chestsFound: 0, totalChests: 1 }) });
+  const { body } = await app.post("/report", { sessionId });
+  const report = body.report;
+  assert.equal(report.sections, undefined);
+  assert.equal(report.status, "incomplete");
+  assert.equal(body.status, "incomplete");
+  assert.deepEqual(report.issues, []);
+  assert.ok(!JSON.stringify(report).includes("## "), "no pre-rendered Markdown in the report object");
+  assert.deepEqual(report.metrics.coverage.heatmap.rows, ["E"]);
+  assert.match(body.reportMarkdown, /^## Coverage$/m);
+  assert.match(body.reportMarkdown, /^## Bug Triage$/m);
+});
+
+test("HTML links allow only http(s) and relative targets; frame links are absolute", () => {
+  const report = {
+    ...baseReport,
+    frames: [{ step: 3, file: "step-0003.png", reasons: ["finding #1 teleport"] }],
+    triage: {
+      source: "gemini",
+      label: "Gemini (test)",
+      issues: [{
+        id: "BUG-1",
+        title: "Bad link",
+        severity: "low",
+        summary: "see [evil](javascript:alert(1)) and [spec](https://example.com/spec) and [data](DATA:text/html,x)",
+        evidence: [],
+        reproCommands: []
+      }]
+    }
+  };
+  const md = renderReportMarkdown(report);
+  assert.match(md, /\[step-0003\.png\]\(\/runs\/run-1\/frames\/step-0003\.png\)/);
+  const html = renderReportHtml(report);
+  assert.ok(!/href="javascript:/i.test(html));
+  assert.ok(!/href="data:/i.test(html));
+  assert.match(html, /<a href="https:\/\/example\.com\/spec">spec<\/a>/);
+  assert.match(html, /<a href="\/runs\/run-1\/frames\/step-0003\.png">step-0003\.png<\/a>/);
+});
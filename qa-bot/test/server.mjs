@@ -0,0 +1,34 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Starts the server in-process on a free port with a throwaway runs
+// directory. server.mjs reads its env once, so use one server per test file.
+export async function startServer({ testsDir = path.join(ROOT, "tests") } = {}) {
+  const runsDir = fs.mkdtempSync(path.join(os.tmpdir(), "qa-bot-runs-"));
+  process.env.TESTS_DIR = testsDir;
+  process.env.RUNS_DIR = runsDir;
+  process.env.REPORT_USE_GEMINI = "0";
+  const { listen } = await import("../server.mjs");
+  const server = await listen(0, "127.0.0.1");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    baseUrl,
+    async post(route, body) {
+      const res = await fetch(`${baseUrl}${route}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    },
+    close() {
+      server.close();
+      server.closeAllConnections();
+      fs.rmSync(runsDir, { recursive: true, force: true });
+    }
+  };
+}
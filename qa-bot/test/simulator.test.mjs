@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { createGridWorld, loadMap } from "../lib/gridworld.mjs";
+import { runScenario } from "../lib/harness.mjs";
+import { ROOT, startServer } from "./server.mjs";
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(() => app.close());
+
+test("sim_random_walk finds both chests in small_maze", async () => {
+  const map = loadMap(path.join(ROOT, "maps", "small_maze.txt"));
+  const { reports } = await runScenario(app.baseUrl, {
+    start: { testName: "sim_random_walk" },
+    createClient: () => createGridWorld(map)
+  });
+  const [report] = reports;
+  assert.equal(report.doneReason, "attemptsComplete");
+  assert.equal(report.status, "PASS");
+  assert.equal(report.chestsFound, 2);
+  assert.match(report.reportMarkdown, /^Status: PASS$/m);
+});
+
+test("a run whose objective attempts all time out fails", async () => {
+  const { body: started } = await app.post("/start", { testName: "offline_smoke" });
+  let last;
+  for (let step = 0; step < 8 && !last?.done; step++) {
+    const observation = { time: step * 5, position: { x: 0, y: 0, z: step * 0.5 }, yaw: 0, chestsFound: 0, totalChests: 1 };
+    ({ body: last } = await app.post("/step", { sessionId: started.sessionId, observationJson: JSON.stringify(observation) }));
+  }
+  assert.equal(last.done, true);
+
+  const { body: report } = await app.post("/report", { sessionId: started.sessionId });
+  assert.equal(report.doneReason, "attemptsComplete");
+  assert.equal(report.status, "FAIL");
+  assert.ok(report.report.attempts.results.every((r) => r.status === "timeout"));
+  assert.match(report.report.issues.map((i) => i.message).join("\n"), /attempts ran out/);
+});
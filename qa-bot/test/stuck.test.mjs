@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { resolveCommandRules } from "../lib/commands.mjs";
+import { createStuckState, resolveStuck, updateStuck } from "../lib/stuck.mjs";
+
+// A bot pressing forward into a wall: episodes until `episodes` were detected.
+function recoveriesAgainstWall(seed, episodes = 3) {
+  const session = {
+    activeTest: { stuck: resolveStuck({}), commandRules: resolveCommandRules({}) },
+    stuck: createStuckState(seed),
+    history: [],
+    plan: null,
+    stepsTaken: 0,
+    lastPosition: { x: 0, y: 0, z: 0 }
+  };
+  while (session.stuck.episodes.length < episodes) {
+    session.stepsTaken += 1;
+    session.history.push({
+      step: session.stepsTaken,
+      position: { x: 0, y: 0, z: 0 },
+      commandIssued: "move_fwd:1",
+      outcome: { moved: 0 }
+    });
+    updateStuck(session);
+    session.stuck.recovery = null;
+  }
+  return session.stuck.episodes.map((e) => e.recovery);
+}
+
+test("recovery turns repeat for the same seed", () => {
+  const first = recoveriesAgainstWall(3);
+  assert.equal(first.length, 3);
+  assert.deepEqual(recoveriesAgainstWall(3), first);
+  assert.deepEqual(recoveriesAgainstWall(undefined), recoveriesAgainstWall(undefined));
+  for (const recovery of first) {
+    assert.equal(recovery[0], "move_back:1");
+    assert.match(recovery[1], /^turn_(left|right):(9\d|1[0-7]\d|180)$/);
+  }
+});
@@ -0,0 +1,20 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { extractImage, resolveVision } from "../lib/vision.mjs";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function png(bytes) {
+  return Buffer.concat([PNG_SIGNATURE, Buffer.alloc(bytes - PNG_SIGNATURE.length)]).toString("base64");
+}
+
+test("an image over maxBytes is rejected with the capture settings to use instead", () => {
+  const vision = resolveVision({ enabled: true, maxBytes: 2048, maxWidth: 256, maxHeight: 128 });
+  const image = extractImage({ image: png(4096) }, null, vision);
+  assert.equal(image.data, undefined);
+  assert.equal(image.bytes, 4096);
+  assert.match(image.error, /^image rejected: 4096 bytes is over vision\.maxBytes \(2048\)/);
+  assert.match(image.error, /does not downscale, so capture at most 256x128 at jpegQuality 70/);
+
+  assert.equal(extractImage({ image: png(1024) }, null, vision).mimeType, "image/png");
+});